@@ -0,0 +1,44 @@
+/*
+  PAW deployment config (shared by every page)
+  ------------------------------------------------------------
+  Loaded in <head> before the embed guard, so keep it tiny, ES5 and
+  dependency-free.
+
+  Circle (ProAgent Works) is the default host. To embed the same tools in
+  another host (brokerage intranet, course portal, ...), edit the values
+  below for that deployment, or define window.PAW_CONFIG before this file
+  loads. Tools can also override `host` per page via PAWToolShell.init({ host }).
+
+  Fields:
+  - allowedHostOrigins   parent origins allowed to talk to the tools (identity,
+                         bridge). Either a full origin ("https://x.com") or a
+                         hostname pattern ("x.com", "*.x.com"). This is the only
+                         copy of the default list; tool-shell.js reads it from here.
+  - identityRequestType  postMessage type the tool sends to ask for identity.
+  - identityMessageType  postMessage type the host answers with.
+  - redirectUrl          where a page goes when opened outside an iframe.
+  - signatureRedirectUrl same, for signature.html (has its own landing page).
+*/
+(function () {
+  var defaults = {
+    allowedHostOrigins: [
+      "proagentworks.circle.so",
+      "proagentworks.com",
+      "www.proagentworks.com",
+      // Circle test embeds hosted on Pages: production hostname + preview subdomains.
+      "paw-tools.pages.dev",
+      "*.paw-tools.pages.dev"
+    ],
+    identityRequestType: "paw_identity_request_v1",
+    identityMessageType: "paw_identity_v1",
+    redirectUrl: "https://proagentworks.com",
+    signatureRedirectUrl: "https://www.proagentworks.com/signature"
+  };
+
+  var existing = window.PAW_CONFIG && typeof window.PAW_CONFIG === "object" ? window.PAW_CONFIG : {};
+  var merged = {};
+  var key;
+  for (key in defaults) merged[key] = defaults[key];
+  for (key in existing) merged[key] = existing[key];
+  window.PAW_CONFIG = merged;
+})();
@@ -9,16 +9,19 @@
 (function () {
   "use strict";
 
-  // Circle-only product: if a tool page is opened outside an iframe (i.e., outside Circle),
-  // redirect to the marketing site. This prevents 'standalone' usage and avoids layout drift.
+  // Embed-only product: if a tool page is opened outside an iframe (i.e., outside Circle or
+  // the configured host), redirect to the deployment's redirectUrl (paw-config.js; the
+  // marketing site by default). This prevents 'standalone' usage and avoids layout drift.
   // NOTE: embed=1 is still honored for safety/testing, but Circle always runs tools in an iframe.
+  // NOTE: runs before the host config helpers below exist, so it reads PAW_CONFIG directly.
   function enforceCircleOnly() {
     try {
       const qp = new URLSearchParams(location.search);
       const embed = qp.get('embed');
       const inFrame = window.self !== window.top;
       if (!inFrame && embed !== '1') {
-        location.replace('https://proagentworks.com');
+        const target = (window.PAW_CONFIG && window.PAW_CONFIG.redirectUrl) || 'https://proagentworks.com';
+        location.replace(String(target));
       }
     } catch (_) {}
   }
@@ -67,39 +70,73 @@
   // Privacy intent:
   // - Token is kept in memory only (not localStorage).
   //
-  // IMPORTANT:
-  // - This is a minimal bridge. Without Circle-side signing, the Worker cannot
-  //   cryptographically prove the user_id came from Circle. We mitigate by:
-  //     (a) only requesting identity when embedded,
-  //     (b) requiring a signed Worker token for all persistence,
-  //     (c) short token lifetimes.
-  // - If Circle provides a verifiable JWT in the future, we should validate it
-  //   in /auth/mint and eliminate spoofing risk.
-  // Circle can run on its native *.circle.so domain or on a custom domain.
-  // We keep a strict allowlist for the parent (host page) origin to prevent
-  // accepting identity messages from arbitrary sites.
-  const PAW_CIRCLE_ORIGIN = "https://proagentworks.circle.so";
-  const PAW_ALLOWED_PARENT_ORIGINS = [
-    PAW_CIRCLE_ORIGIN,
-    "https://www.proagentworks.com",
-    "https://proagentworks.com"
-  ];
-  const PAW_IDENTITY_MSG = "paw_identity_v1";
-  const PAW_IDENTITY_REQ = "paw_identity_request_v1";
+  // Verified handshake:
+  // - Every paw_identity_request_v1 carries a fresh random `nonce`.
+  // - The host answers with a signed `assertion` (HS256 JWT: sub = member id,
+  //   nonce, exp) alongside member_id. A bare member_id is ignored.
+  // - PAWAuth only does cheap sanity checks (nonce is one we issued and unused,
+  //   not expired, sub matches member_id) and forwards the assertion to
+  //   /auth/mint, where the Worker verifies the signature with the shared secret.
+  //   The browser never holds that secret.
+  // - Assertions are single-use, so every (re-)mint asks the host for a new one.
+  // Host config (per deployment):
+  // - Circle (native *.circle.so or custom domain) is the default host.
+  // - Other hosts are enabled via window.PAW_CONFIG (paw-config.js) or
+  //   PAWToolShell.init({ host: { ... } }) / authInit(apiEndpoint, host).
+  // - The parent-origin allowlist stays strict: identity and bridge messages
+  //   from any origin not listed are ignored.
+  // Fields mirror paw-config.js: allowedHostOrigins, identityRequestType,
+  // identityMessageType, redirectUrl.
+  // - The origin allowlist lives only in paw-config.js (loaded before this file on
+  //   every page). Without it no parent origin is trusted.
+  const PAW_HOST_DEFAULTS = Object.freeze({
+    allowedHostOrigins: Object.freeze([]),
+    identityRequestType: "paw_identity_request_v1",
+    identityMessageType: "paw_identity_v1",
+    redirectUrl: "https://proagentworks.com"
+  });
+
+  let __pawHostOverrides = null;
+
+  function setHostConfig(host) {
+    if (!host || typeof host !== "object") return;
+    __pawHostOverrides = Object.assign({}, __pawHostOverrides || {}, host);
+  }
+
+  function getHostConfig() {
+    let shared = null;
+    try {
+      shared = window.PAW_CONFIG && typeof window.PAW_CONFIG === "object" ? window.PAW_CONFIG : null;
+    } catch (_) {}
+    const merged = Object.assign({}, PAW_HOST_DEFAULTS, shared || {}, __pawHostOverrides || {});
+    if (!Array.isArray(merged.allowedHostOrigins) || !merged.allowedHostOrigins.length) {
+      merged.allowedHostOrigins = shared && Array.isArray(shared.allowedHostOrigins)
+        ? shared.allowedHostOrigins
+        : PAW_HOST_DEFAULTS.allowedHostOrigins;
+    }
+    merged.identityRequestType = safeText(merged.identityRequestType) || PAW_HOST_DEFAULTS.identityRequestType;
+    merged.identityMessageType = safeText(merged.identityMessageType) || PAW_HOST_DEFAULTS.identityMessageType;
+    merged.redirectUrl = safeText(merged.redirectUrl) || PAW_HOST_DEFAULTS.redirectUrl;
+    return merged;
+  }
+
+  // Allowlist entries: a full origin ("https://intranet.example.com", exact
+  // match) or a hostname pattern ("example.com", "*.example.com").
+  function matchesHostEntry(u, entry) {
+    const raw = String(entry || "").trim().toLowerCase();
+    if (!raw) return false;
+    if (raw.indexOf("://") !== -1) return String(u.origin || "").toLowerCase() === raw.replace(/\/+$/, "");
+    const h = String(u.hostname || "").toLowerCase();
+    if (raw.indexOf("*.") === 0) return h.endsWith(raw.slice(1));
+    return h === raw;
+  }
 
   function isAllowedParentOrigin(origin) {
     try {
       var u = new URL(String(origin || ""));
-      var h = String(u.hostname || "").toLowerCase();
-      // Safe allowlist expansion for Circle test embeds hosted on Pages:
-      // we only allow the production Pages hostname and its preview subdomains.
-      return (
-        h === "proagentworks.circle.so" ||
-        h === "proagentworks.com" ||
-        h === "www.proagentworks.com" ||
-        h === "paw-tools.pages.dev" ||
-        h.endsWith(".paw-tools.pages.dev")
-      );
+      return getHostConfig().allowedHostOrigins.some(function (entry) {
+        return matchesHostEntry(u, entry);
+      });
     } catch (_) {
       return false;
     }
@@ -114,70 +151,350 @@
     let _readyPromise = null;
     let _readyResolve = null;
 
+    // Lifecycle (also emitted on window as paw:auth:<status>, detail = getMeta()):
+    // - "pending"  waiting for Circle identity / first mint
+    // - "ready"    token minted
+    // - "failed"   no identity (timeout) or /auth/mint refused; read-only mode
+    // - "expired"  token could not be refreshed; read-only until retry()
+    let _status = "pending";
+    let _failReason = "";
+
+    // Token refresh:
+    // - Re-mint shortly before `_exp` so long sessions never hit an expired token.
+    // - PAWApi calls refreshToken() on a 401 and replays the request once.
+    // - One mint at a time; concurrent 401s share the same refresh.
+    const REFRESH_LEAD_MS = 60 * 1000;
+    const REFRESH_MIN_DELAY_MS = 5 * 1000;
+    const REFRESH_RETRY_MS = 30 * 1000;
+    let _refreshTimer = 0;
+    let _refreshPromise = null;
+    // In-flight /auth/mint, shared by every caller (late identity replies,
+    // init, retry, refresh) so only one mint runs at a time.
+    let _mintPromise = null;
+    let _mintMemberId = "";
+
+    // Identity handshake:
+    // - Circle may load after the tool iframe, or drop the first request, so the
+    //   request is repeated with backoff until an identity arrives.
+    // - whenReady() stops blocking after READY_TIMEOUT_MS so sends are never stuck
+    //   behind auth; a late identity still mints and emits paw:auth:ready.
+    const IDENTITY_RETRY_DELAYS_MS = [1000, 2000, 4000, 8000];
+    const READY_TIMEOUT_MS = 6000;
+    const NONCE_TTL_MS = 5 * 60 * 1000;
+    const ASSERTION_WAIT_MS = 8000;
+    const _pendingNonces = {};
+    let _assertion = null;
+    let _assertionPromise = null;
+    let _assertionResolve = null;
+    let _identityTimer = 0;
+    let _identityAttempt = 0;
+    let _readyTimer = 0;
+    let _handshakeStarted = false;
+
     function isInIframe() {
       try { return window.self !== window.top; } catch (e) { return true; }
     }
 
-    function whenReady() {
+    function whenReady(options) {
       if (!_readyPromise) {
         _readyPromise = new Promise((resolve) => { _readyResolve = resolve; });
       }
-      return _readyPromise;
+      const timeoutMs = options && Number(options.timeoutMs);
+      if (!(timeoutMs > 0)) return _readyPromise;
+      // Per-call cap: resolves with the current (possibly empty) meta instead of waiting on.
+      return Promise.race([
+        _readyPromise,
+        new Promise(function (resolve) { setTimeout(function () { resolve(getMeta()); }, timeoutMs); })
+      ]);
+    }
+
+    function resolveReady() {
+      try { clearTimeout(_readyTimer); } catch (_) {}
+      _readyTimer = 0;
+      whenReady();
+      try { if (_readyResolve) _readyResolve(getMeta()); } catch (_) {}
     }
 
     function getToken() { return _token || ""; }
     function getMemberId() { return _memberId || ""; }
-    function getMeta() { return { memberId: getMemberId(), exp: _exp || 0 }; }
+    function getStatus() { return _status; }
+    function getMeta() {
+      return { memberId: getMemberId(), exp: _exp || 0, status: _status, reason: _failReason };
+    }
 
-    async function mintToken(memberId) {
-      const url = String(_apiEndpoint || "").replace(/\/+$/,"") + "/auth/mint";
-      const res = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ user_id: String(memberId || "").trim() })
+    // `exp` may arrive as epoch seconds (JWT style) or milliseconds.
+    function getExpiresAtMs() {
+      const exp = Number(_exp || 0);
+      if (!exp) return 0;
+      return exp < 1e12 ? exp * 1000 : exp;
+    }
+
+    function emitAuthEvent(name) {
+      try {
+        window.dispatchEvent(new CustomEvent(name, { detail: getMeta() }));
+      } catch (_) {}
+    }
+
+    function setStatus(status, reason) {
+      const changed = _status !== status || _failReason !== (reason || "");
+      _status = status;
+      _failReason = status === "failed" || status === "expired" ? String(reason || "") : "";
+      if (changed && status !== "pending") emitAuthEvent("paw:auth:" + status);
+    }
+
+    function scheduleRefresh(delayOverrideMs) {
+      try { clearTimeout(_refreshTimer); } catch (_) {}
+      _refreshTimer = 0;
+      const expiresAt = getExpiresAtMs();
+      if (!_token || !expiresAt) return;
+      const delay = delayOverrideMs > 0
+        ? delayOverrideMs
+        : Math.max(REFRESH_MIN_DELAY_MS, expiresAt - Date.now() - REFRESH_LEAD_MS);
+      _refreshTimer = setTimeout(function () {
+        refreshToken().catch(function () {});
+      }, delay);
+    }
+
+    function expireToken(reason) {
+      try { clearTimeout(_refreshTimer); } catch (_) {}
+      _refreshTimer = 0;
+      _token = "";
+      _exp = 0;
+      setStatus("expired", reason);
+    }
+
+    // Re-mints for the current member. Resolves to the new token ("" if none).
+    // options.rejected: the server already refused the current token (401), so a
+    // failed re-mint expires it immediately instead of retrying until `exp`.
+    function refreshToken(options) {
+      if (_refreshPromise) return _refreshPromise;
+      if (!_memberId || !_apiEndpoint) return Promise.resolve("");
+      const rejected = !!(options && options.rejected);
+
+      _refreshPromise = (async function () {
+        try {
+          await mintToken(_memberId);
+          setStatus("ready");
+          emitAuthEvent("paw:auth:refreshed");
+          return getToken();
+        } catch (err) {
+          const expiresAt = getExpiresAtMs();
+          if (rejected || !expiresAt || expiresAt <= Date.now()) expireToken("refresh_failed");
+          else scheduleRefresh(REFRESH_RETRY_MS);
+          throw err;
+        } finally {
+          _refreshPromise = null;
+        }
+      })();
+      return _refreshPromise;
+    }
+
+    function createNonce() {
+      try {
+        const bytes = new Uint8Array(16);
+        window.crypto.getRandomValues(bytes);
+        return Array.prototype.map.call(bytes, function (b) { return ("0" + b.toString(16)).slice(-2); }).join("");
+      } catch (_) {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+      }
+    }
+
+    function pruneNonces() {
+      const cutoff = Date.now() - NONCE_TTL_MS;
+      Object.keys(_pendingNonces).forEach(function (n) {
+        if (_pendingNonces[n] < cutoff) delete _pendingNonces[n];
       });
-      const data = await res.json().catch(() => ({}));
-      if (!res.ok) {
-        const msg = data && (data.error || data.message || data.reply) ? (data.error || data.message || data.reply) : "Auth failed";
-        throw new Error(msg);
+    }
+
+    // Payload of a compact JWT; null when it is not one.
+    function decodeAssertionClaims(assertion) {
+      try {
+        const parts = String(assertion || "").split(".");
+        if (parts.length !== 3) return null;
+        let b64 = parts[1].replace(/-/g, "+").replace(/_/g, "/");
+        while (b64.length % 4) b64 += "=";
+        const json = decodeURIComponent(Array.prototype.map.call(atob(b64), function (c) {
+          return "%" + ("0" + c.charCodeAt(0).toString(16)).slice(-2);
+        }).join(""));
+        const claims = JSON.parse(json);
+        return claims && typeof claims === "object" ? claims : null;
+      } catch (_) {
+        return null;
+      }
+    }
+
+    // Validates an identity message and consumes its nonce.
+    // Returns { memberId, assertion, nonce, exp } or null.
+    function readIdentityAssertion(data) {
+      const assertion = String(data.assertion || "").trim();
+      const claims = decodeAssertionClaims(assertion);
+      if (!claims) return null;
+
+      const memberId = String(claims.sub || claims.member_id || "").trim();
+      const claimed = String(data.member_id || data.memberId || "").trim();
+      if (!memberId || (claimed && claimed !== memberId)) return null;
+
+      pruneNonces();
+      const nonce = String(claims.nonce || "");
+      if (!nonce || !_pendingNonces[nonce]) return null;
+      delete _pendingNonces[nonce];
+
+      const exp = Number(claims.exp || 0);
+      if (!(exp * 1000 > Date.now())) return null;
+
+      return { memberId, assertion, nonce, exp };
+    }
+
+    // Next unused assertion: the one that just arrived, or ask the host again.
+    function obtainAssertion() {
+      if (_assertion && _assertion.exp * 1000 > Date.now()) {
+        const ready = _assertion;
+        _assertion = null;
+        return Promise.resolve(ready);
       }
+      _assertion = null;
+      if (_assertionPromise) return _assertionPromise;
+
+      _assertionPromise = new Promise(function (resolve, reject) {
+        const timer = setTimeout(function () {
+          _assertionPromise = null;
+          _assertionResolve = null;
+          reject(new Error("No identity assertion from host"));
+        }, ASSERTION_WAIT_MS);
+        _assertionResolve = function (a) {
+          clearTimeout(timer);
+          _assertionPromise = null;
+          _assertionResolve = null;
+          resolve(a);
+        };
+      });
+      requestIdentityFromParent();
+      return _assertionPromise;
+    }
+
+    function mintToken(memberId) {
+      const id = String(memberId || "").trim();
+      if (_mintPromise && _mintMemberId === id) return _mintPromise;
+      _mintMemberId = id;
+      const pending = runMint(id).finally(function () {
+        if (_mintPromise === pending) {
+          _mintPromise = null;
+          _mintMemberId = "";
+        }
+      });
+      _mintPromise = pending;
+      return pending;
+    }
+
+    async function runMint(memberId) {
+      const url = String(_apiEndpoint || "").replace(/\/+$/,"") + "/auth/mint";
+      const identity = await obtainAssertion();
+      if (identity.memberId !== String(memberId || "").trim()) throw new Error("Identity changed");
+      const data = await PAWApi.request(url, {
+        method: "POST",
+        auth: false,
+        body: {
+          user_id: identity.memberId,
+          assertion: identity.assertion,
+          nonce: identity.nonce
+        },
+        errorMessage: "Auth failed"
+      }) || {};
       _token = String(data.token || "");
       _exp = Number(data.exp || 0) || 0;
+      scheduleRefresh();
+    }
+
+    // Mint for the known member and settle the lifecycle either way.
+    async function mintAndSettle() {
+      try {
+        await mintToken(_memberId);
+        setStatus(_token ? "ready" : "failed", _token ? "" : "mint_failed");
+      } catch (_) {
+        setStatus("failed", "mint_failed");
+      }
+      resolveReady();
     }
 
     function requestIdentityFromParent() {
       // Parent (Circle) must respond with:
-      //   window.postMessage({ type: PAW_IDENTITY_MSG, member_id: "<id>" }, "*")
-      // ...from origin https://proagentworks.circle.so
+      //   window.postMessage({ type: identityMessageType, member_id: "<id>", assertion: "<jwt>" }, "*")
+      // ...from an allowed host origin (Circle by default), where the JWT carries
+      // the `nonce` sent here.
       try {
         if (!isInIframe()) return;
-        window.parent.postMessage({ type: PAW_IDENTITY_REQ }, "*");
+        pruneNonces();
+        const nonce = createNonce();
+        _pendingNonces[nonce] = Date.now();
+        window.parent.postMessage({ type: getHostConfig().identityRequestType, nonce: nonce }, "*");
       } catch (_) {}
     }
 
+    function stopIdentityRequests() {
+      try { clearTimeout(_identityTimer); } catch (_) {}
+      _identityTimer = 0;
+    }
+
+    function scheduleIdentityRequest() {
+      stopIdentityRequests();
+      if (_memberId) return;
+      if (_identityAttempt >= IDENTITY_RETRY_DELAYS_MS.length) {
+        setStatus("failed", "no_identity");
+        resolveReady();
+        return;
+      }
+      const delay = IDENTITY_RETRY_DELAYS_MS[_identityAttempt++];
+      _identityTimer = setTimeout(function () {
+        if (_memberId) return;
+        requestIdentityFromParent();
+        scheduleIdentityRequest();
+      }, delay);
+    }
+
+    function startHandshake() {
+      _identityAttempt = 0;
+      requestIdentityFromParent();
+      scheduleIdentityRequest();
+
+      try { clearTimeout(_readyTimer); } catch (_) {}
+      _readyTimer = setTimeout(function () {
+        _readyTimer = 0;
+        if (_token) return;
+        // Keep asking in the background; just stop holding up whenReady().
+        if (_status === "pending") setStatus("failed", "timeout");
+        resolveReady();
+      }, READY_TIMEOUT_MS);
+    }
+
     function listenForIdentity() {
       window.addEventListener("message", async (event) => {
         try {
           const data = event && event.data ? event.data : null;
           if (!data || typeof data !== "object") return;
-          if (data.type !== PAW_IDENTITY_MSG) return;
+          if (data.type !== getHostConfig().identityMessageType) return;
 
-          // Origin hard check (Circle native + custom domain allowlist)
+          // Origin hard check (configured host allowlist; Circle by default)
           if (!isAllowedParentOrigin(event.origin)) return;
 
-          const memberId = String(data.member_id || data.memberId || "").trim();
-          if (!memberId) return;
+          const identity = readIdentityAssertion(data);
+          if (!identity) return;
 
-          // Only set once (do not thrash token)
-          if (_memberId && _memberId === memberId && _token) return;
+          // A refresh/retry is waiting for exactly this; it owns the mint.
+          if (_assertionResolve) {
+            _assertionResolve(identity);
+            return;
+          }
 
-          _memberId = memberId;
+          // Only set once (do not thrash token). A reply to an earlier backoff
+          // request while the mint is still running joins that mint.
+          if (_memberId && _memberId === identity.memberId && (_token || _mintPromise)) return;
 
-          if (_apiEndpoint) {
-            try { await mintToken(_memberId); } catch (_) {}
-          }
+          _memberId = identity.memberId;
+          _assertion = identity;
+          stopIdentityRequests();
 
-          try { if (_readyResolve) _readyResolve(getMeta()); } catch (_) {}
+          if (_apiEndpoint) await mintAndSettle();
+          else resolveReady();
         } catch (_) {}
       });
     }
@@ -190,22 +507,43 @@
       whenReady(); // ensure promise exists
 
       // Only run handshake when embedded in Circle (or any iframe).
-      if (isInIframe()) requestIdentityFromParent();
+      if (isInIframe() && !_handshakeStarted && !_memberId) {
+        _handshakeStarted = true;
+        startHandshake();
+      }
 
       // If we already have member_id but no token yet, mint.
       if (_memberId && _apiEndpoint && !_token) {
-        try { await mintToken(_memberId); } catch (_) {}
+        await mintAndSettle();
       }
 
       // If not embedded, resolve with empty meta (tools will remain read-only).
-      if (!isInIframe()) {
-        try { if (_readyResolve) _readyResolve(getMeta()); } catch (_) {}
-      }
+      if (!isInIframe()) resolveReady();
 
       return whenReady();
     }
 
-    return { init, whenReady, getToken, getMemberId, getMeta };
+    // Manual recovery (banner "Retry", Works save attempts): re-mint when the
+    // member is known, otherwise ask the parent for identity again.
+    function retry() {
+      if (!isInIframe()) return Promise.resolve(getMeta());
+      setStatus("pending");
+      if (_memberId && _apiEndpoint) {
+        return mintAndSettle().then(getMeta);
+      }
+      startHandshake();
+      return new Promise(function (resolve) {
+        function done() {
+          window.removeEventListener("paw:auth:ready", done);
+          window.removeEventListener("paw:auth:failed", done);
+          resolve(getMeta());
+        }
+        window.addEventListener("paw:auth:ready", done);
+        window.addEventListener("paw:auth:failed", done);
+      });
+    }
+
+    return { init, whenReady, getToken, getMemberId, getMeta, getStatus, refreshToken, retry };
   })();
 
 
@@ -230,16 +568,10 @@
   const PAW_USAGE_LIMIT_HUMAN_MESSAGE =
     "You’ve reached your monthly usage limit for this plan. Upgrade your plan or wait until your next reset date to continue.";
 
-  function humanizeShellErrorMessage(message) {
-    const raw = safeText(message);
-    if (!raw) return "";
-    return raw.toLowerCase() === "usage_limit_reached" ? PAW_USAGE_LIMIT_HUMAN_MESSAGE : raw;
-  }
-
   function formatAssistantErrorText(err) {
-    const msg = humanizeShellErrorMessage(err && err.message ? err.message : err);
-    if (!msg) return "Error";
-    return msg === PAW_USAGE_LIMIT_HUMAN_MESSAGE ? msg : ("Error: " + msg);
+    if (PAWApi.isError(err, PAWApi.CODES.USAGE_LIMIT)) return PAW_USAGE_LIMIT_HUMAN_MESSAGE;
+    const msg = safeText(err && err.message ? err.message : err);
+    return msg ? "Error: " + msg : "Error";
   }
 
   // Shared auth gate for shell-managed requests.
@@ -256,10 +588,265 @@
     } catch (_) {}
   }
 
+  // ─────────────────────────────────────────────
+  // PAW API client (shared request layer)
+  // ─────────────────────────────────────────────
+  // One place that knows how to talk to paw-api (docs/paw-api-contract.md):
+  // - Adds bearer auth (and optionally waits for PAWAuth first) + CSRF header.
+  // - Reads the body once, tolerates non-JSON text.
+  // - Unwraps the `{ ok:true, data }` envelope; plain legacy bodies pass through.
+  // - Throws a PAWApiError for `{ ok:false, error:{ code, message, details } }`
+  //   and for non-2xx responses, with `code` always set so callers can branch on
+  //   PAWApi.CODES instead of string-matching messages.
+  //
+  // Legacy string errors (e.g. `{ error: "usage_limit_reached" }`) are kept on
+  // `err.reason`; usage-limit ones (legacy or `USAGE_LIMIT*` envelope codes) get
+  // code USAGE_LIMIT so callers never string-match them.
+  //
+  // Retries (bounded, exponential backoff, honors Retry-After):
+  // - GET/PUT/DELETE/HEAD retry on 429, 502 and 503.
+  // - Anything else (AI sends, uploads, creates) only retries on 429 and 503.
+  //   Those are refused before the Worker does any metered work, so a retry can
+  //   never double-charge usage. A 502 may arrive after the model already ran.
+  // - A 429 whose reason/code says usage_limit (plan quota spent) never retries.
+  // - Streamed replies are only retried before the first byte is read.
+  const PAWApi = (function () {
+    const CODES = Object.freeze({
+      UNAUTHORIZED: "UNAUTHORIZED",
+      FORBIDDEN: "FORBIDDEN",
+      NOT_FOUND: "NOT_FOUND",
+      VALIDATION_ERROR: "VALIDATION_ERROR",
+      RATE_LIMITED: "RATE_LIMITED",
+      USAGE_LIMIT: "USAGE_LIMIT",
+      INTERNAL: "INTERNAL"
+    });
+
+    function codeFromStatus(status) {
+      const s = Number(status || 0);
+      if (s === 401) return CODES.UNAUTHORIZED;
+      if (s === 403) return CODES.FORBIDDEN;
+      if (s === 404) return CODES.NOT_FOUND;
+      if (s === 400 || s === 409 || s === 422) return CODES.VALIDATION_ERROR;
+      if (s === 429) return CODES.RATE_LIMITED;
+      return CODES.INTERNAL;
+    }
+
+    function createError(fields) {
+      const f = fields && typeof fields === "object" ? fields : {};
+      const err = new Error(safeText(f.message) || "Request failed");
+      const rawCode = safeText(f.code).toUpperCase();
+      err.name = "PAWApiError";
+      err.code = /^USAGE_LIMIT/.test(rawCode) ? CODES.USAGE_LIMIT : (rawCode || codeFromStatus(f.status));
+      err.status = Number(f.status || 0) || 0;
+      err.details = f.details && typeof f.details === "object" ? f.details : {};
+      err.reason = safeText(f.reason);
+      err.body = f.body && typeof f.body === "object" ? f.body : null;
+      return err;
+    }
+
+    function isError(err, code) {
+      if (!err || err.name !== "PAWApiError") return false;
+      return !code || err.code === code;
+    }
+
+    function parseBody(text, textKey) {
+      if (!text) return {};
+      try {
+        return JSON.parse(text);
+      } catch (_) {
+        const out = {};
+        out[textKey || "reply"] = text;
+        return out;
+      }
+    }
+
+    // Builds the typed error for a failed response, or returns null when the
+    // body is a success (2xx and not an `ok:false` envelope).
+    function errorFromResponse(res, body, fallbackMessage) {
+      const status = res ? Number(res.status || 0) : 0;
+      const data = body && typeof body === "object" ? body : {};
+      const failed = !(res && res.ok) || data.ok === false;
+      if (!failed) return null;
+
+      const envelope = data.error && typeof data.error === "object" ? data.error : null;
+      const legacy = typeof data.error === "string" ? data.error : "";
+      const message =
+        safeText(envelope && envelope.message) ||
+        safeText(data.message) ||
+        safeText(data.reply) ||
+        safeText(legacy) ||
+        safeText(fallbackMessage) ||
+        ("Request failed (" + status + ")");
+
+      return createError({
+        code: (envelope && envelope.code) || (/^usage_limit/i.test(legacy) ? CODES.USAGE_LIMIT : ""),
+        status: status || (data.ok === false ? 400 : 0),
+        message: message,
+        details: envelope && envelope.details,
+        reason: legacy,
+        body: data
+      });
+    }
+
+    const RETRY_MAX_ATTEMPTS = 3;
+    const RETRY_BASE_MS = 1000;
+    const RETRY_MAX_DELAY_MS = 20000;
+    const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+
+    function isRetryableStatus(status, method) {
+      if (status === 429 || status === 503) return true;
+      return status === 502 && IDEMPOTENT_METHODS.indexOf(method) !== -1;
+    }
+
+    // A 429 for a spent plan quota will not clear in seconds; only rate limits do.
+    function isUsageLimitError(err) {
+      return isError(err, CODES.USAGE_LIMIT);
+    }
+
+    // Retry-After is either delta-seconds or an HTTP date.
+    function parseRetryAfter(res) {
+      let raw = "";
+      try { raw = safeText(res && res.headers && res.headers.get("Retry-After")); } catch (_) {}
+      if (!raw) return -1;
+      if (/^\d+(\.\d+)?$/.test(raw)) return Math.round(Number(raw) * 1000);
+      const at = Date.parse(raw);
+      return Number.isFinite(at) ? Math.max(0, at - Date.now()) : -1;
+    }
+
+    // Returns -1 when the server asks us to wait longer than we are willing to.
+    function retryDelayFor(res, attempt) {
+      const hinted = parseRetryAfter(res);
+      if (hinted > RETRY_MAX_DELAY_MS) return -1;
+      if (hinted >= 0) return hinted;
+      const backoff = RETRY_BASE_MS * Math.pow(2, attempt - 1);
+      return Math.min(RETRY_MAX_DELAY_MS, backoff + Math.round(Math.random() * 250));
+    }
+
+    function waitForRetry(ms, signal) {
+      return new Promise(function (resolve, reject) {
+        if (signal && signal.aborted) {
+          reject(new DOMException("Aborted", "AbortError"));
+          return;
+        }
+        const timer = setTimeout(function () {
+          if (signal) signal.removeEventListener("abort", onAbort);
+          resolve();
+        }, ms);
+        function onAbort() {
+          clearTimeout(timer);
+          reject(new DOMException("Aborted", "AbortError"));
+        }
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+      });
+    }
+
+    function unwrap(body) {
+      if (body && typeof body === "object" && body.ok === true && Object.prototype.hasOwnProperty.call(body, "data")) {
+        return body.data;
+      }
+      return body;
+    }
+
+    // request(url, options)
+    // options:
+    // - method        default "GET" (or "POST" when a body is given)
+    // - body          object (sent as JSON), FormData, or string
+    // - headers       extra headers
+    // - auth          default true; attach the PAW bearer token when present
+    // - waitForAuth   default false; await PAWAuth.whenReady() before sending
+    // - csrf          CSRF token for X-CSRF-Token
+    // - signal        AbortSignal
+    // - onDelta       opt into streamed replies (see postJSON)
+    // - textKey       key used when the body is not JSON (default "reply")
+    // - raw           return the full body instead of unwrapping `data`
+    // - errorMessage  fallback message when the server sends none
+    // - retry         default true; false disables retries, or a number caps attempts
+    //                 (a 401 additionally re-mints the PAW token and replays once)
+    // - onRetry       called with { attempt, delayMs, status, error } before each wait
+    async function request(url, options) {
+      const opts = options && typeof options === "object" ? options : {};
+      const hasBody = opts.body !== undefined && opts.body !== null;
+      const isForm = typeof FormData !== "undefined" && opts.body instanceof FormData;
+      const headers = Object.assign({}, opts.headers || {});
+
+      if (opts.waitForAuth) await waitForPAWAuthReady();
+
+      if (!isForm) headers["Content-Type"] = headers["Content-Type"] || "application/json";
+      if (opts.auth !== false) {
+        try {
+          const t = (window.PAWAuth && window.PAWAuth.getToken) ? window.PAWAuth.getToken() : "";
+          if (t) headers["Authorization"] = "Bearer " + t;
+        } catch (_) {}
+      }
+      if (opts.csrf) headers["X-CSRF-Token"] = opts.csrf;
+      if (typeof opts.onDelta === "function") headers["Accept"] = "text/event-stream, application/json";
+
+      const method = String(opts.method || (hasBody ? "POST" : "GET")).toUpperCase();
+      const maxAttempts =
+        opts.retry === false ? 1 :
+        typeof opts.retry === "number" ? Math.max(1, Math.min(RETRY_MAX_ATTEMPTS, Math.floor(opts.retry))) :
+        RETRY_MAX_ATTEMPTS;
+
+      let replayedAfterRefresh = false;
+
+      for (let attempt = 1; ; attempt++) {
+        const res = await fetch(url, {
+          method,
+          headers,
+          body: !hasBody ? undefined : (isForm || typeof opts.body === "string" ? opts.body : JSON.stringify(opts.body)),
+          signal: opts.signal || undefined,
+        });
+
+        if (typeof opts.onDelta === "function" && res.ok && isStreamedResponse(res)) {
+          return await readStreamedReply(res, opts.onDelta);
+        }
+
+        const text = await res.text();
+        const body = parseBody(text, opts.textKey);
+        const err = errorFromResponse(res, body, opts.errorMessage);
+        if (!err) return opts.raw ? body : unwrap(body);
+
+        // Expired/rejected bearer: re-mint once and replay with the new token.
+        // Does not count as a retry attempt.
+        if (res.status === 401 && opts.auth !== false && !replayedAfterRefresh && headers["Authorization"]) {
+          replayedAfterRefresh = true;
+          let fresh = "";
+          try {
+            fresh = (window.PAWAuth && window.PAWAuth.refreshToken)
+              ? await window.PAWAuth.refreshToken({ rejected: true })
+              : "";
+          } catch (_) {
+            fresh = "";
+          }
+          if (fresh) {
+            headers["Authorization"] = "Bearer " + fresh;
+            attempt--;
+            continue;
+          }
+        }
+
+        const delayMs = attempt < maxAttempts && isRetryableStatus(res.status, method) && !isUsageLimitError(err)
+          ? retryDelayFor(res, attempt)
+          : -1;
+        if (delayMs < 0) throw err;
+
+        if (typeof opts.onRetry === "function") {
+          try {
+            opts.onRetry({ attempt: attempt, delayMs: delayMs, status: res.status, error: err });
+          } catch (_) {}
+        }
+        await waitForRetry(delayMs, opts.signal);
+      }
+    }
+
+    return { CODES, request, createError, isError, errorFromResponse };
+  })();
+
   const PAWUsage = (function () {
     let _apiEndpoint = "";
     let _summary = null;
     let _loadPromise = null;
+    let _loadSettled = false;
 
     function formatPlanKey(planKey) {
       const raw = String(planKey || "").trim();
@@ -338,21 +925,18 @@
       // Assumption: backend exposes a lightweight authenticated summary endpoint
       // at /usage-summary for the currently authenticated PAW user.
       const url = String(_apiEndpoint || "").replace(/\/+$/, "") + "/usage-summary";
-      const res = await fetch(url, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": "Bearer " + token
+      let data = null;
+      try {
+        data = await PAWApi.request(url, { method: "GET" });
+      } catch (err) {
+        // No entitlement (or any failure) simply means "no usage chrome".
+        if (PAWApi.isError(err) && err.reason === "entitlement_not_found") {
+          return normalizeSummary(err.body && err.body.summary);
         }
-      });
-
-      const data = await res.json().catch(() => ({}));
-      if (!res.ok) return null;
-      if (data && data.summary) return normalizeSummary(data.summary);
-      if (data && data.ok === false && data.error === "entitlement_not_found") {
-        return normalizeSummary(data.summary || null);
+        return null;
       }
-      return normalizeSummary((data && data.data) || data);
+      if (data && data.summary) return normalizeSummary(data.summary);
+      return normalizeSummary(data);
     }
 
     function ensureHeaderPillMount() {
@@ -468,12 +1052,22 @@
           _summary = null;
         }
         render();
+        _loadSettled = true;
         return _summary;
       })();
 
       return _loadPromise;
     }
 
+    // A late or recovered sign-in (see PAWAuth.retry) should bring the usage
+    // chrome back without a reload.
+    window.addEventListener("paw:auth:ready", function () {
+      if (!_apiEndpoint || _summary || !_loadSettled) return;
+      _loadPromise = null;
+      _loadSettled = false;
+      load().catch(function () {});
+    });
+
     function scheduleRender() {
       try {
         requestAnimationFrame(render);
@@ -487,67 +1081,805 @@
     } };
   })();
 
-  function appendMessage($messages, role, text, meta) {
-    const wrap = document.createElement("div");
-    wrap.className = "msg " + (role === "user" ? "user" : "ai");
-    const bubble = document.createElement("div");
-    bubble.className = "bubble";
-    bubble.innerHTML = "<p>" + escapeHtml(text) + "</p>";
-    wrap.appendChild(bubble);
+  // ─────────────────────────────────────────────
+  // Signed-out banner (shell-owned)
+  // ─────────────────────────────────────────────
+  // Shown under the topbar (above the plan usage banner) when PAWAuth ends up
+  // "failed" or "expired" inside the Circle embed. Tools keep working for AI
+  // requests; saving and My Works are read-only until the user retries.
+  const PAWAuthBanner = (function () {
+    const COPY = {
+      failed: "You’re not signed in, so saving and My Works are read-only for now.",
+      expired: "Your session expired. Saving and My Works are read-only until you reconnect."
+    };
+    let _retrying = false;
 
-    // PAW: "Give feedback" link (AI messages only)
-    // - Lives in the shared shell so it automatically applies to all tools.
-    // - Captures a snapshot (user input + AI output + tool id/title + time) without extra user work.
-    if (role !== "user") {
+    function isEmbedded() {
+      try { return window.self !== window.top; } catch (_) { return true; }
+    }
+
+    function ensureMount() {
+      const topbar = document.querySelector(".panel-topbar");
+      if (!topbar) return null;
+
+      let banner = topbar.querySelector(".paw-auth-banner");
+      if (!banner) {
+        banner = document.createElement("div");
+        banner.className = "paw-auth-banner";
+        banner.setAttribute("role", "status");
+        banner.hidden = true;
+        banner.innerHTML = `
+          <span class="paw-auth-banner__text"></span>
+          <button type="button" class="paw-auth-banner__retry">Retry</button>
+        `;
+
+        const usage = topbar.querySelector(".paw-plan-usage-banner");
+        const row = topbar.querySelector(".topbar-row0");
+        if (usage && usage.parentNode === topbar) {
+          topbar.insertBefore(banner, usage);
+        } else if (row && row.parentNode === topbar) {
+          topbar.insertBefore(banner, row.nextSibling);
+        } else {
+          topbar.appendChild(banner);
+        }
+
+        const btn = banner.querySelector(".paw-auth-banner__retry");
+        if (btn) btn.addEventListener("click", onRetryClick);
+      }
+      return banner;
+    }
+
+    function render() {
+      const status = PAWAuth.getStatus();
+      const copy = isEmbedded() ? COPY[status] : "";
+      const banner = copy || _retrying ? ensureMount() : document.querySelector(".paw-auth-banner");
+      if (!banner) return;
+
+      if (!copy && !_retrying) {
+        banner.hidden = true;
+        return;
+      }
+
+      const text = banner.querySelector(".paw-auth-banner__text");
+      const btn = banner.querySelector(".paw-auth-banner__retry");
+      if (text && copy) text.textContent = copy;
+      if (btn) {
+        btn.disabled = _retrying;
+        btn.textContent = _retrying ? "Retrying…" : (status === "expired" ? "Reconnect" : "Retry");
+      }
+      banner.classList.toggle("is-expired", status === "expired");
+      banner.hidden = false;
+    }
+
+    async function onRetryClick() {
+      if (_retrying) return;
+      _retrying = true;
+      render();
       try {
-        attachBadResponseLink(bubble, {
-          toolId: meta && meta.toolId,
-          toolTitle: meta && meta.toolTitle,
-          userMessage: meta && meta.userMessage,
-          extraPayload: meta && meta.extraPayload,
-          historyTail: meta && meta.historyTail,
-          aiOutput: text,
-          createdAt: (meta && meta.createdAt) || new Date().toISOString(),
-          pageUrl: (meta && meta.pageUrl) || (typeof location !== "undefined" ? location.href : ""),
-        });
+        await PAWAuth.retry();
       } catch (_) {}
+      _retrying = false;
+      render();
+      if (PAWAuth.getStatus() !== "ready") {
+        try { showToast("Still not signed in. Try reloading the page."); } catch (_) {}
+      }
     }
 
-    $messages.appendChild(wrap);
-    $messages.scrollTop = $messages.scrollHeight;
-    return wrap;
-  }
+    ["paw:auth:ready", "paw:auth:failed", "paw:auth:expired"].forEach(function (name) {
+      window.addEventListener(name, function () {
+        try { requestAnimationFrame(render); } catch (_) { render(); }
+      });
+    });
 
-  // --- UX helper: always-visible "Working..." strip -------------------------
-  // Problem this solves:
-  // In embedded/iframe tools (Circle), long text pastes can push the chat stream
-  // below the fold. We *do* append an in-stream thinking bubble, but users may
-  // not be scrolled to it, so it looks like nothing is happening until results
-  // appear "all at once".
+    return { render };
+  })();
+
+  // ─────────────────────────────────────────────
+  // Markdown (AI replies)
+  // ─────────────────────────────────────────────
+  // Small allowlist renderer for what the Worker actually returns: headings,
+  // lists, bold/italic/strike, links, tables, blockquotes, inline + fenced code.
   //
-  // This lightweight fixed bar gives immediate, always-visible feedback while a
-  // request is in-flight. It does NOT change backend behavior.
-  let __pawWorkingBar = null;
-  let __pawWorkingBarStyleInjected = false;
+  // SAFETY:
+  // - Input is escaped first; the only tags in the output are the ones built
+  //   here. Raw HTML in a reply is shown as text, never parsed.
+  // - Links only for http(s)/mailto/tel; anything else renders as its label.
+  //
+  // toPlainText() is the copy-side twin: same syntax, markers stripped, so
+  // Copy keeps producing clean text for MLS fields, emails and texts.
+  const PAWMarkdown = (function () {
+    const SAFE_URL = /^(https?:\/\/|mailto:|tel:)/i;
+    const LIST_RE = /^(\s*)([-*+•]|\d{1,3}[.)])\s+(.*)$/;
+    const FENCE_RE = /^\s{0,3}(```|~~~)/;
+    const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+    const HR_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+    const TABLE_SEP_RE = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+    const QUOTE_RE = /^\s{0,3}>\s?/;
+    const LINK_RE = /\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+    const BARE_URL_RE = /(^|[\s(])(https?:\/\/[^\s<]+[^\s<.,;:!?)'"])/g;
+
+    function normalize(md) {
+      return String(md || "").replace(/\r\n?/g, "\n").replace(/[\u0000\u0001]/g, "");
+    }
 
-  function nextPaint() {
-    // Ensure the browser gets a chance to render state changes (spinner/dots)
-    // before we do any heavier sync work or kick off fetch().
-    return new Promise((resolve) => {
-      try {
-        requestAnimationFrame(() => resolve());
-      } catch (_) {
-        setTimeout(resolve, 0);
+    // `codes` are the caller's code spans: a label still holds their placeholders.
+    function renderLink(link, codes) {
+      const url = String(link.url || "").trim();
+      const label = link.bare ? escapeHtml(url) : inline(link.label, true, codes);
+      if (!SAFE_URL.test(url)) return label;
+      return '<a href="' + escapeHtml(url) + '" target="_blank" rel="noopener noreferrer">' + label + "</a>";
+    }
+
+    // Code spans and URLs (linked or bare) are swapped for placeholders before
+    // the emphasis passes, so `_` and `*` inside them stay literal.
+    function inline(text, inLink, outerCodes) {
+      const codes = outerCodes || [];
+      const links = [];
+      let s = String(text || "").replace(/`([^`\n]+)`/g, function (_, code) {
+        codes.push(code);
+        return "\u0000" + (codes.length - 1) + "\u0000";
+      });
+      if (!inLink) {
+        s = s
+          .replace(LINK_RE, function (_, label, url) {
+            links.push({ label: label, url: url });
+            return "\u0001" + (links.length - 1) + "\u0001";
+          })
+          .replace(BARE_URL_RE, function (_, pre, url) {
+            links.push({ url: url, bare: true });
+            return pre + "\u0001" + (links.length - 1) + "\u0001";
+          });
       }
-    });
-  }
 
-  function ensureWorkingBarStyles() {
-    if (__pawWorkingBarStyleInjected) return;
-    __pawWorkingBarStyleInjected = true;
+      s = escapeHtml(s)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, "<strong>$1</strong>")
+        .replace(/(^|[^*\w])\*(?=\S)([^*\n]*?\S)\*(?!\w)/g, "$1<em>$2</em>")
+        .replace(/(^|[^_\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>");
 
-    const style = document.createElement("style");
-    style.setAttribute("data-paw", "working-bar");
+      return s
+        .replace(/\u0001(\d+)\u0001/g, function (_, i) { return renderLink(links[Number(i)], codes); })
+        .replace(/\u0000(\d+)\u0000/g, function (_, i) { return "<code>" + escapeHtml(codes[Number(i)]) + "</code>"; });
+    }
+
+    function splitRow(line) {
+      return String(line || "").trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map(function (c) {
+        return c.trim();
+      });
+    }
+
+    function isTableStart(lines, i) {
+      return lines[i].indexOf("|") !== -1 && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1]);
+    }
+
+    // Appends one (possibly nested) list to `out`; returns the next line index.
+    function parseList(lines, i, out) {
+      const first = lines[i].match(LIST_RE);
+      const indent = first[1].length;
+      const ordered = /\d/.test(first[2]);
+      const start = ordered ? parseInt(first[2], 10) : 1;
+      const items = [];
+
+      while (i < lines.length) {
+        const line = lines[i];
+        const m = line.match(LIST_RE);
+        if (m && m[1].length === indent && /\d/.test(m[2]) === ordered) {
+          items.push({ html: inline(m[3]), sub: "" });
+          i++;
+          continue;
+        }
+        if (m && m[1].length > indent && items.length) {
+          const sub = [];
+          i = parseList(lines, i, sub);
+          items[items.length - 1].sub += sub.join("");
+          continue;
+        }
+        if (!m && line.trim() && /^\s+/.test(line) && items.length) {
+          items[items.length - 1].html += "<br>" + inline(line.trim());
+          i++;
+          continue;
+        }
+        // A blank line between items of the same list does not end it.
+        const next = !line.trim() && i + 1 < lines.length ? lines[i + 1].match(LIST_RE) : null;
+        if (next && next[1].length === indent && /\d/.test(next[2]) === ordered) {
+          i++;
+          continue;
+        }
+        break;
+      }
+
+      const tag = ordered ? "ol" : "ul";
+      out.push(
+        "<" + tag + (ordered && start !== 1 ? ' start="' + start + '"' : "") + ">" +
+        items.map(function (it) { return "<li>" + it.html + it.sub + "</li>"; }).join("") +
+        "</" + tag + ">"
+      );
+      return i;
+    }
+
+    function toHtml(md) {
+      const lines = normalize(md).split("\n");
+      const out = [];
+      let para = [];
+      let i = 0;
+
+      function flushPara() {
+        if (!para.length) return;
+        out.push("<p>" + para.map(function (l) { return inline(l); }).join("<br>") + "</p>");
+        para = [];
+      }
+
+      while (i < lines.length) {
+        const line = lines[i];
+        let m;
+
+        if ((m = line.match(FENCE_RE))) {
+          flushPara();
+          const fence = m[1];
+          const code = [];
+          i++;
+          while (i < lines.length && lines[i].trim().indexOf(fence) !== 0) code.push(lines[i++]);
+          i++;
+          out.push("<pre><code>" + escapeHtml(code.join("\n")) + "</code></pre>");
+          continue;
+        }
+        if (!line.trim()) {
+          flushPara();
+          i++;
+          continue;
+        }
+        if ((m = line.match(HEADING_RE))) {
+          // # -> h3: bubbles and the modal already have their own title level.
+          flushPara();
+          const level = Math.min(6, m[1].length + 2);
+          out.push("<h" + level + ">" + inline(m[2]) + "</h" + level + ">");
+          i++;
+          continue;
+        }
+        if (HR_RE.test(line)) {
+          flushPara();
+          out.push("<hr>");
+          i++;
+          continue;
+        }
+        if (isTableStart(lines, i)) {
+          flushPara();
+          const head = splitRow(line);
+          const rows = [];
+          i += 2;
+          while (i < lines.length && lines[i].trim() && lines[i].indexOf("|") !== -1) rows.push(splitRow(lines[i++]));
+          out.push(
+            "<table><thead><tr>" +
+            head.map(function (c) { return "<th>" + inline(c) + "</th>"; }).join("") +
+            "</tr></thead><tbody>" +
+            rows.map(function (r) {
+              return "<tr>" + head.map(function (_, ci) { return "<td>" + inline(r[ci] || "") + "</td>"; }).join("") + "</tr>";
+            }).join("") +
+            "</tbody></table>"
+          );
+          continue;
+        }
+        if (QUOTE_RE.test(line)) {
+          flushPara();
+          const quoted = [];
+          while (i < lines.length && QUOTE_RE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE_RE, ""));
+          out.push("<blockquote>" + toHtml(quoted.join("\n")) + "</blockquote>");
+          continue;
+        }
+        if (LIST_RE.test(line)) {
+          flushPara();
+          i = parseList(lines, i, out);
+          continue;
+        }
+        para.push(line.trim());
+        i++;
+      }
+      flushPara();
+      return out.join("");
+    }
+
+    // Same placeholder trick as inline(): code and URLs skip the emphasis passes.
+    function inlinePlain(text) {
+      const kept = [];
+      const keep = function (value) {
+        kept.push(value);
+        return "\u0000" + (kept.length - 1) + "\u0000";
+      };
+      return String(text || "")
+        .replace(/`([^`\n]+)`/g, function (_, code) { return keep(code); })
+        .replace(LINK_RE, function (_, label, url) {
+          return label === url ? keep(url) : label + " (" + keep(url) + ")";
+        })
+        .replace(BARE_URL_RE, function (_, pre, url) { return pre + keep(url); })
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "$1")
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, "$1")
+        .replace(/(^|[^*\w])\*(?=\S)([^*\n]*?\S)\*(?!\w)/g, "$1$2")
+        .replace(/(^|[^_\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, "$1$2")
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "$1")
+        .replace(/\u0000(\d+)\u0000/g, function (_, i) { return kept[Number(i)]; });
+    }
+
+    function toPlainText(md) {
+      const lines = normalize(md).split("\n");
+      const out = [];
+      let inFence = false;
+
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        let m;
+        if (FENCE_RE.test(line)) {
+          inFence = !inFence;
+          continue;
+        }
+        if (inFence) {
+          out.push(line);
+          continue;
+        }
+        if ((m = line.match(HEADING_RE))) {
+          out.push(inlinePlain(m[2]));
+          continue;
+        }
+        if (HR_RE.test(line) && !LIST_RE.test(line)) {
+          out.push("");
+          continue;
+        }
+        if (TABLE_SEP_RE.test(line) && i > 0 && lines[i - 1].indexOf("|") !== -1) continue;
+        if (line.indexOf("|") !== -1 && (isTableStart(lines, i) || (i > 0 && lines[i - 1].indexOf("|") !== -1 && /^\s*\|/.test(line)))) {
+          out.push(splitRow(line).map(inlinePlain).join(" | "));
+          continue;
+        }
+        if ((m = line.match(LIST_RE))) {
+          const marker = /\d/.test(m[2]) ? m[2] : "-";
+          out.push(m[1] + marker + " " + inlinePlain(m[3]));
+          continue;
+        }
+        out.push(inlinePlain(line.replace(QUOTE_RE, "")));
+      }
+      return out.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+    }
+
+    return { toHtml, toPlainText };
+  })();
+
+  // ─────────────────────────────────────────────
+  // Word diff (deliverable revisions)
+  // ─────────────────────────────────────────────
+  // Word-level LCS on plain text. Whitespace runs are tokens too, so the
+  // output keeps the original spacing and line breaks.
+  // Common prefix/suffix are trimmed first; if the changed middle is still
+  // too big for the table it is shown as one delete + one insert.
+  const PAWDiff = (function () {
+    const MAX_CELLS = 2500000;
+
+    function tokenize(text) {
+      return String(text || "").match(/\s+|\S+/g) || [];
+    }
+
+    function push(ops, type, text) {
+      if (!text) return;
+      const last = ops[ops.length - 1];
+      if (last && last.type === type) last.text += text;
+      else ops.push({ type: type, text: text });
+    }
+
+    function words(before, after) {
+      const x = tokenize(before);
+      const y = tokenize(after);
+      let start = 0;
+      while (start < x.length && start < y.length && x[start] === y[start]) start++;
+      let endX = x.length;
+      let endY = y.length;
+      while (endX > start && endY > start && x[endX - 1] === y[endY - 1]) {
+        endX--;
+        endY--;
+      }
+
+      const ops = [];
+      push(ops, "same", x.slice(0, start).join(""));
+
+      const xs = x.slice(start, endX);
+      const ys = y.slice(start, endY);
+      const n = xs.length;
+      const m = ys.length;
+      if ((n + 1) * (m + 1) > MAX_CELLS) {
+        push(ops, "del", xs.join(""));
+        push(ops, "add", ys.join(""));
+      } else {
+        // dp[i][j] = LCS length of xs[i..] and ys[j..]
+        const dp = [];
+        for (let i = 0; i <= n; i++) dp.push(new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+          for (let j = m - 1; j >= 0; j--) {
+            dp[i][j] = xs[i] === ys[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+          }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+          if (xs[i] === ys[j]) {
+            push(ops, "same", xs[i]);
+            i++;
+            j++;
+          } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+            push(ops, "del", xs[i++]);
+          } else {
+            push(ops, "add", ys[j++]);
+          }
+        }
+        push(ops, "del", xs.slice(i).join(""));
+        push(ops, "add", ys.slice(j).join(""));
+      }
+
+      push(ops, "same", x.slice(endX).join(""));
+      return ops;
+    }
+
+    function toHtml(ops) {
+      return (ops || []).map(function (op) {
+        const text = escapeHtml(op.text);
+        if (op.type === "add") return '<ins class="paw-diff-add">' + text + "</ins>";
+        if (op.type === "del") return '<del class="paw-diff-del">' + text + "</del>";
+        return text;
+      }).join("");
+    }
+
+    function stats(ops) {
+      const out = { added: 0, removed: 0 };
+      (ops || []).forEach(function (op) {
+        const count = (op.text.match(/\S+/g) || []).length;
+        if (op.type === "add") out.added += count;
+        if (op.type === "del") out.removed += count;
+      });
+      return out;
+    }
+
+    return { words, toHtml, stats };
+  })();
+
+  // ─────────────────────────────────────────────
+  // Export (conversation + deliverables)
+  // ─────────────────────────────────────────────
+  // Builds downloadable files from a plain export doc:
+  //   { title, date, workLabel, messages: [{ role, content }], deliverables: [state] }
+  // Markdown and HTML are text; .docx is a minimal WordprocessingML package
+  // zipped here (stored, no compression), so no library is needed.
+  const PAWExport = (function () {
+    function deliverableMarkdown(d) {
+      if (String(d.variant || "") === "email") {
+        // Hard line breaks so the email keeps its lines when the .md is rendered.
+        return "**Subject:** " + String(d.subject || "") + "\n\n" + String(d.body || "").replace(/\n(?!\n)/g, "  \n");
+      }
+      return String(d.text || "");
+    }
+
+    function headerLines(doc) {
+      const lines = [doc.date];
+      if (doc.workLabel) lines.push("Work: " + doc.workLabel);
+      return lines;
+    }
+
+    function speaker(role) {
+      return role === "user" ? "You" : "AI";
+    }
+
+    function toMarkdown(doc) {
+      const out = ["# " + doc.title, "", headerLines(doc).join("  \n"), ""];
+      if (doc.messages.length) {
+        out.push("## Conversation", "");
+        doc.messages.forEach((m) => {
+          out.push("### " + speaker(m.role), "", String(m.content || "").trim(), "");
+        });
+      }
+      if (doc.deliverables.length) {
+        out.push("## Deliverables", "");
+        doc.deliverables.forEach((d, i) => {
+          out.push("### " + (i + 1) + ". " + String(d.title || "Deliverable"), "", deliverableMarkdown(d).trim(), "");
+        });
+      }
+      return out.join("\n").replace(/\n{3,}/g, "\n\n").trim() + "\n";
+    }
+
+    function toHtml(doc) {
+      const msgHtml = doc.messages.map((m) => {
+        const body = m.role === "user"
+          ? "<p>" + escapeHtml(m.content).replace(/\n/g, "<br>") + "</p>"
+          : PAWMarkdown.toHtml(m.content);
+        return '<div class="msg ' + (m.role === "user" ? "user" : "ai") + '"><div class="who">' + speaker(m.role) + "</div>" + body + "</div>";
+      }).join("\n");
+      const delHtml = doc.deliverables.map((d, i) => {
+        const body = String(d.variant || "") === "email"
+          ? '<p><strong>Subject:</strong> ' + escapeHtml(d.subject) + '</p><div class="email">' + escapeHtml(d.body) + "</div>"
+          : PAWMarkdown.toHtml(d.text);
+        return '<section class="deliverable"><h3>' + (i + 1) + ". " + escapeHtml(d.title || "Deliverable") + "</h3>" + body + "</section>";
+      }).join("\n");
+
+      return (
+        "<!doctype html>\n<html lang=\"en\">\n<head>\n<meta charset=\"utf-8\">\n" +
+        "<title>" + escapeHtml(doc.title) + "</title>\n<style>\n" +
+        "body{font:15px/1.55 -apple-system,BlinkMacSystemFont,\"Segoe UI\",Roboto,Arial,sans-serif;color:#0f172a;max-width:760px;margin:32px auto;padding:0 20px;}\n" +
+        "header{border-bottom:1px solid #e2e8f0;margin-bottom:24px;padding-bottom:12px;}\n" +
+        "header h1{margin:0 0 4px;font-size:24px;}header p{margin:0;color:#475569;font-size:13px;}\n" +
+        "h2{font-size:18px;margin:28px 0 12px;}\n" +
+        ".msg{border:1px solid #e2e8f0;border-radius:12px;padding:10px 14px;margin:0 0 12px;}\n" +
+        ".msg.user{background:#f8fafc;}.who{font-size:11px;font-weight:800;text-transform:uppercase;color:#64748b;margin-bottom:4px;}\n" +
+        ".msg p:first-of-type{margin-top:0;}.msg :last-child{margin-bottom:0;}\n" +
+        ".deliverable{border-left:3px solid #cbd5e1;padding-left:14px;margin:0 0 20px;}.deliverable h3{font-size:15px;margin:0 0 8px;}\n" +
+        ".email{white-space:pre-wrap;}pre{background:#f1f5f9;padding:10px;border-radius:8px;overflow:auto;}\n" +
+        "table{border-collapse:collapse;}th,td{border:1px solid #cbd5e1;padding:4px 8px;}\n" +
+        "</style>\n</head>\n<body>\n<header><h1>" + escapeHtml(doc.title) + "</h1><p>" +
+        headerLines(doc).map(escapeHtml).join(" · ") + "</p></header>\n" +
+        (msgHtml ? "<h2>Conversation</h2>\n" + msgHtml + "\n" : "") +
+        (delHtml ? "<h2>Deliverables</h2>\n" + delHtml + "\n" : "") +
+        "</body>\n</html>\n"
+      );
+    }
+
+    // ---- .docx ----
+
+    function xmlEscape(s) {
+      return String(s == null ? "" : s)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+    }
+
+    function para(text, style, indent) {
+      const pPr = (style ? '<w:pStyle w:val="' + style + '"/>' : "") +
+        (indent ? '<w:ind w:left="' + indent * 360 + '"/>' : "");
+      return "<w:p>" + (pPr ? "<w:pPr>" + pPr + "</w:pPr>" : "") +
+        '<w:r><w:t xml:space="preserve">' + xmlEscape(text) + "</w:t></w:r></w:p>";
+    }
+
+    // One paragraph per Markdown line; formatting is flattened to plain text,
+    // headings keep a heading style and list items keep their marker + indent.
+    function markdownParas(md) {
+      const out = [];
+      let inFence = false;
+      String(md || "").replace(/\r\n?/g, "\n").split("\n").forEach((line) => {
+        if (/^\s{0,3}(```|~~~)/.test(line)) {
+          inFence = !inFence;
+          return;
+        }
+        if (inFence) {
+          out.push(para(line, "Code"));
+          return;
+        }
+        if (!line.trim()) return;
+        if (/^\s*\|?\s*:?-{3,}/.test(line) && line.indexOf("|") !== -1) return;
+        const heading = line.match(/^\s{0,3}#{1,6}\s+/);
+        const list = line.match(/^(\s*)([-*+•]|\d{1,3}[.)])\s+/);
+        const plain = PAWMarkdown.toPlainText(line);
+        if (!plain) return;
+        if (heading) out.push(para(plain, "Heading3"));
+        else if (list) out.push(para(plain.replace(/^- /, "• "), null, 1 + Math.floor(list[1].length / 2)));
+        else out.push(para(plain));
+      });
+      return out.join("");
+    }
+
+    function plainParas(text) {
+      return String(text || "").replace(/\r\n?/g, "\n").split(/\n/)
+        .filter((l) => l.trim())
+        .map((l) => para(l))
+        .join("");
+    }
+
+    function documentXml(doc) {
+      let body = para(doc.title, "Title") + headerLines(doc).map((l) => para(l, "Subtitle")).join("");
+      if (doc.messages.length) {
+        body += para("Conversation", "Heading1");
+        doc.messages.forEach((m) => {
+          body += para(speaker(m.role), "Heading2");
+          body += m.role === "user" ? plainParas(m.content) : markdownParas(m.content);
+        });
+      }
+      if (doc.deliverables.length) {
+        body += para("Deliverables", "Heading1");
+        doc.deliverables.forEach((d, i) => {
+          body += para((i + 1) + ". " + String(d.title || "Deliverable"), "Heading2");
+          if (String(d.variant || "") === "email") {
+            body += para("Subject: " + String(d.subject || "")) + plainParas(d.body);
+          } else {
+            body += markdownParas(d.text);
+          }
+        });
+      }
+      return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+        body +
+        '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>' +
+        "</w:body></w:document>";
+    }
+
+    function style(id, name, rPr, pPr) {
+      return '<w:style w:type="paragraph" w:styleId="' + id + '"><w:name w:val="' + name + '"/><w:basedOn w:val="Normal"/>' +
+        '<w:pPr>' + (pPr || "") + "</w:pPr><w:rPr>" + rPr + "</w:rPr></w:style>";
+    }
+
+    const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>' +
+      '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+      '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>' +
+      style("Title", "Title", '<w:b/><w:sz w:val="40"/>', '<w:spacing w:after="60"/>') +
+      style("Subtitle", "Subtitle", '<w:color w:val="64748B"/><w:sz w:val="20"/>', '<w:spacing w:after="0"/>') +
+      style("Heading1", "heading 1", '<w:b/><w:sz w:val="30"/>', '<w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/>') +
+      style("Heading2", "heading 2", '<w:b/><w:color w:val="475569"/><w:sz w:val="24"/>', '<w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/>') +
+      style("Heading3", "heading 3", '<w:b/><w:sz w:val="22"/>', '<w:keepNext/><w:spacing w:before="160" w:after="60"/><w:outlineLvl w:val="2"/>') +
+      style("Code", "Code", '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/>', '<w:spacing w:after="0"/>') +
+      "</w:styles>";
+
+    const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+      "</Types>";
+
+    const ROOT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+      "</Relationships>";
+
+    const DOC_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      "</Relationships>";
+
+    let crcTable = null;
+    function crc32(bytes) {
+      if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+          let c = n;
+          for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+          crcTable[n] = c >>> 0;
+        }
+      }
+      let crc = 0xffffffff;
+      for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+      return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // Stored (uncompressed) zip: local headers + data, central directory, end record.
+    function zip(files) {
+      const enc = new TextEncoder();
+      const parts = [];
+      const central = [];
+      let offset = 0;
+      files.forEach((f) => {
+        const name = enc.encode(f.name);
+        const data = enc.encode(f.data);
+        const crc = crc32(data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local.buffer, name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry.buffer, name);
+        offset += 30 + name.length + data.length;
+      });
+      const centralSize = central.reduce((n, b) => n + b.byteLength, 0);
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054b50, true);
+      end.setUint16(8, files.length, true);
+      end.setUint16(10, files.length, true);
+      end.setUint32(12, centralSize, true);
+      end.setUint32(16, offset, true);
+      return parts.concat(central, [end.buffer]);
+    }
+
+    function toDocx(doc) {
+      return new Blob(zip([
+        { name: "[Content_Types].xml", data: CONTENT_TYPES_XML },
+        { name: "_rels/.rels", data: ROOT_RELS_XML },
+        { name: "word/_rels/document.xml.rels", data: DOC_RELS_XML },
+        { name: "word/document.xml", data: documentXml(doc) },
+        { name: "word/styles.xml", data: STYLES_XML }
+      ]), { type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" });
+    }
+
+    function download(filename, blob) {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = filename;
+      a.rel = "noopener";
+      a.style.display = "none";
+      document.body.appendChild(a);
+      a.click();
+      removeNode(a);
+      setTimeout(function () { URL.revokeObjectURL(url); }, 30000);
+    }
+
+    return { toMarkdown, toHtml, toDocx, download };
+  })();
+
+  function appendMessage($messages, role, text, meta) {
+    const wrap = document.createElement("div");
+    wrap.className = "msg " + (role === "user" ? "user" : "ai");
+    const bubble = document.createElement("div");
+    bubble.className = "bubble";
+    if (role === "user") {
+      bubble.innerHTML = "<p>" + escapeHtml(text) + "</p>";
+    } else {
+      bubble.classList.add("paw-md");
+      bubble.innerHTML = PAWMarkdown.toHtml(text);
+    }
+    wrap.appendChild(bubble);
+
+    // PAW: "Give feedback" link (AI messages only)
+    // - Lives in the shared shell so it automatically applies to all tools.
+    // - Captures a snapshot (user input + AI output + tool id/title + time) without extra user work.
+    if (role !== "user") {
+      try {
+        attachBadResponseLink(bubble, {
+          toolId: meta && meta.toolId,
+          toolTitle: meta && meta.toolTitle,
+          userMessage: meta && meta.userMessage,
+          extraPayload: meta && meta.extraPayload,
+          historyTail: meta && meta.historyTail,
+          aiOutput: text,
+          createdAt: (meta && meta.createdAt) || new Date().toISOString(),
+          pageUrl: (meta && meta.pageUrl) || (typeof location !== "undefined" ? location.href : ""),
+        });
+      } catch (_) {}
+    }
+
+    $messages.appendChild(wrap);
+    $messages.scrollTop = $messages.scrollHeight;
+    return wrap;
+  }
+
+  // --- UX helper: always-visible "Working..." strip -------------------------
+  // Problem this solves:
+  // In embedded/iframe tools (Circle), long text pastes can push the chat stream
+  // below the fold. We *do* append an in-stream thinking bubble, but users may
+  // not be scrolled to it, so it looks like nothing is happening until results
+  // appear "all at once".
+  //
+  // This lightweight fixed bar gives immediate, always-visible feedback while a
+  // request is in-flight. It does NOT change backend behavior.
+  let __pawWorkingBar = null;
+  let __pawWorkingBarStyleInjected = false;
+  let __pawRetryCountdownTimer = 0;
+
+  function nextPaint() {
+    // Ensure the browser gets a chance to render state changes (spinner/dots)
+    // before we do any heavier sync work or kick off fetch().
+    return new Promise((resolve) => {
+      try {
+        requestAnimationFrame(() => resolve());
+      } catch (_) {
+        setTimeout(resolve, 0);
+      }
+    });
+  }
+
+  function ensureWorkingBarStyles() {
+    if (__pawWorkingBarStyleInjected) return;
+    __pawWorkingBarStyleInjected = true;
+
+    const style = document.createElement("style");
+    style.setAttribute("data-paw", "working-bar");
     style.textContent = `
       .paw-working-bar{
         position: fixed;
@@ -609,9 +1941,36 @@
 
   function hideWorkingBar() {
     try {
+      // A finished/stopped request must not let a pending countdown re-show the bar.
+      if (__pawRetryCountdownTimer) clearInterval(__pawRetryCountdownTimer);
+      __pawRetryCountdownTimer = 0;
       if (__pawWorkingBar) __pawWorkingBar.style.display = "none";
     } catch (_) {}
   }
+
+  // PAWApi onRetry handler: counts "Retrying in Ns…" down in the working bar,
+  // then calls `restore` so the caller can put its own label (or nothing) back.
+  function showRetryCountdown(info, restore) {
+    const endsAt = Date.now() + Math.max(0, Number(info && info.delayMs) || 0);
+    try { clearInterval(__pawRetryCountdownTimer); } catch (_) {}
+
+    function tick() {
+      const left = Math.ceil((endsAt - Date.now()) / 1000);
+      if (left > 0) {
+        showWorkingBar("Retrying in " + left + "s…");
+        return;
+      }
+      clearInterval(__pawRetryCountdownTimer);
+      __pawRetryCountdownTimer = 0;
+      try {
+        if (typeof restore === "function") restore();
+        else hideWorkingBar();
+      } catch (_) {}
+    }
+
+    tick();
+    __pawRetryCountdownTimer = setInterval(tick, 250);
+  }
   // --------------------------------------------------------------------------
 function removeNode(node) {
     try {
@@ -640,10 +1999,29 @@ function removeNode(node) {
    *   insecure context, or denied permission. We fall back to `document.execCommand("copy")`
    *   for older browsers / stricter embed contexts.
    *
+   * Pass `{ html }` to also put a rich version on the clipboard (Gmail, Word and
+   * Docs paste it with headings/lists intact). That uses `ClipboardItem` with
+   * text/html + text/plain, then a `copy` event, then plain text as a last resort.
+   *
    * IMPORTANT: Keep this lightweight. No backend calls. No analytics. Just copy.
    */
-  function copyToClipboard(value) {
+  function copyToClipboard(value, options) {
     const text = String(value || "");
+    const html = options && options.html ? String(options.html) : "";
+    if (html) {
+      try {
+        if (navigator.clipboard && typeof navigator.clipboard.write === "function" && typeof window.ClipboardItem === "function") {
+          const item = new window.ClipboardItem({
+            "text/html": new Blob([html], { type: "text/html" }),
+            "text/plain": new Blob([text], { type: "text/plain" })
+          });
+          navigator.clipboard.write([item]).catch(() => copyRichFallback(html, text));
+          return;
+        }
+      } catch (_) {}
+      copyRichFallback(html, text);
+      return;
+    }
     // Prefer modern async clipboard when available.
     try {
       if (navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
@@ -657,6 +2035,28 @@ function removeNode(node) {
     copyToClipboardFallback(text);
   }
 
+  // execCommand("copy") fires a copy event we can fill with both flavours.
+  function copyRichFallback(html, text) {
+    let handled = false;
+    const onCopy = function (e) {
+      try {
+        e.clipboardData.setData("text/html", html);
+        e.clipboardData.setData("text/plain", text);
+        e.preventDefault();
+        handled = true;
+      } catch (_) {}
+    };
+    try {
+      document.addEventListener("copy", onCopy);
+      document.execCommand("copy");
+    } catch (_) {
+      // Handled below.
+    } finally {
+      document.removeEventListener("copy", onCopy);
+    }
+    if (!handled) copyToClipboardFallback(text);
+  }
+
   function copyToClipboardFallback(text) {
     try {
       const ta = document.createElement("textarea");
@@ -725,79 +2125,154 @@ function removeNode(node) {
   }
 
 
-  async function postJSON(url, payload, csrfToken) {
-    // Wait for PAW auth before normal AI requests so bearer auth is available
-    // when Circle identity has already been handed off.
-    await waitForPAWAuthReady();
-
-    const headers = { "Content-Type": "application/json" };
-    try {
-      const t = (window.PAWAuth && window.PAWAuth.getToken) ? window.PAWAuth.getToken() : "";
-      if (t) headers["Authorization"] = "Bearer " + t;
-    } catch (_) {}
-    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
-
-    const res = await fetch(url, {
-      method: "POST",
-      headers,
-      body: JSON.stringify(payload),
-    });
-
-    const text = await res.text();
-    let data = null;
+  // ─────────────────────────────────────────────
+  // Streamed replies (SSE or chunked text)
+  // ─────────────────────────────────────────────
+  // Product intent:
+  // - Long Transactions reports and Presence articles should start painting as
+  //   soon as the Worker produces text instead of sitting behind "Working…".
+  //
+  // Contract (see docs/paw-api-contract.md, "Streaming replies"):
+  // - The shell asks for a stream with `Accept: text/event-stream`.
+  // - A streaming Worker answers with `text/event-stream` (or chunked `text/plain`).
+  // - A non-streaming Worker keeps answering JSON and nothing changes.
+  //
+  // The returned object always has the same shape as the JSON reply
+  // ({ reply, ... }) so callers never need to know which path was taken.
+  function isStreamedResponse(res) {
     try {
-      data = JSON.parse(text);
+      if (!res || !res.body || typeof res.body.getReader !== "function") return false;
+      const type = String(res.headers.get("content-type") || "").toLowerCase();
+      return type.indexOf("text/event-stream") !== -1 || type.indexOf("text/plain") !== -1;
     } catch (_) {
-      data = { reply: text || "" };
+      return false;
     }
+  }
 
-    if (!res.ok) {
-      const msg =
-        (data && (data.reply || data.error || data.message)) ||
-        "Request failed (" + res.status + ")";
-      throw new Error(msg);
+  async function readStreamedReply(res, onDelta) {
+    const type = String(res.headers.get("content-type") || "").toLowerCase();
+    const isSSE = type.indexOf("text/event-stream") !== -1;
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let text = "";
+    let final = null;
+    let done = false;
+
+    function emit(delta) {
+      if (!delta) return;
+      text += String(delta);
+      try { if (onDelta) onDelta(text); } catch (_) {}
     }
 
-    return data;
-  }
+    function handleEvent(block) {
+      let eventName = "";
+      const dataLines = [];
+      String(block || "").split(/\r?\n/).forEach(function (line) {
+        if (!line || line.charAt(0) === ":") return;
+        const idx = line.indexOf(":");
+        const field = idx === -1 ? line : line.slice(0, idx);
+        let value = idx === -1 ? "" : line.slice(idx + 1);
+        if (value.charAt(0) === " ") value = value.slice(1);
+        if (field === "event") eventName = value;
+        else if (field === "data") dataLines.push(value);
+      });
+      if (!dataLines.length) return;
 
-  async function postFormData(url, formData, csrfToken) {
-    await waitForPAWAuthReady();
+      const raw = dataLines.join("\n");
+      if (raw === "[DONE]") {
+        done = true;
+        return;
+      }
 
-    const headers = {};
-    try {
-      const t = (window.PAWAuth && window.PAWAuth.getToken) ? window.PAWAuth.getToken() : "";
-      if (t) headers["Authorization"] = "Bearer " + t;
-    } catch (_) {}
-    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+      let parsed = null;
+      try { parsed = JSON.parse(raw); } catch (_) { parsed = null; }
 
-    const res = await fetch(url, {
-      method: "POST",
-      headers,
-      body: formData,
-    });
+      if (eventName === "error" || (parsed && parsed.ok === false)) {
+        const body = parsed && typeof parsed === "object" ? parsed : { message: raw };
+        throw PAWApi.errorFromResponse({ ok: false, status: Number(body.status || 0) || 500 }, body, "Request failed");
+      }
 
-    const text = await res.text();
-    let data = null;
-    try {
-      data = JSON.parse(text);
-    } catch (_) {
-      data = { transcript: text || "" };
+      if (eventName === "done" || (parsed && parsed.done === true)) {
+        const body = parsed && typeof parsed === "object"
+          ? (parsed.data && typeof parsed.data === "object" ? parsed.data : parsed)
+          : {};
+        final = Object.assign({}, body);
+        delete final.done;
+        done = true;
+        return;
+      }
+
+      if (parsed && typeof parsed === "object") {
+        emit(parsed.delta != null ? parsed.delta : parsed.text);
+        return;
+      }
+      emit(raw);
     }
 
-    if (!res.ok) {
-      const msg =
-        (data && (data.error || data.message || data.reply || data.transcript)) ||
-        "Request failed (" + res.status + ")";
-      throw new Error(msg);
+    while (!done) {
+      const chunk = await reader.read();
+      if (chunk.done) break;
+      const piece = decoder.decode(chunk.value, { stream: true });
+      if (!isSSE) {
+        emit(piece);
+        continue;
+      }
+      buffer += piece;
+      let split = buffer.search(/\r?\n\r?\n/);
+      while (split !== -1 && !done) {
+        const block = buffer.slice(0, split);
+        buffer = buffer.slice(split).replace(/^\r?\n\r?\n/, "");
+        handleEvent(block);
+        split = buffer.search(/\r?\n\r?\n/);
+      }
     }
 
-    return data;
+    const tail = decoder.decode();
+    if (!isSSE) emit(tail);
+    else if (!done && (buffer + tail).trim()) handleEvent(buffer + tail);
+
+    try { if (done) reader.cancel(); } catch (_) {}
+
+    const out = final && typeof final === "object" ? final : {};
+    if (typeof out.reply !== "string" || !out.reply) out.reply = text;
+    return out;
   }
 
-  function buildPayloadBase(toolId, history, prefs, extraPayload) {
-    const payload = {
-      tool: toolId || "",
+  function isAbortError(err) {
+    return !!(err && (err.name === "AbortError" || err.code === 20));
+  }
+
+  async function postJSON(url, payload, csrfToken, options) {
+    const opts = options && typeof options === "object" ? options : {};
+    // Wait for PAW auth before normal AI requests so bearer auth is available
+    // when Circle identity has already been handed off.
+    return await PAWApi.request(url, {
+      method: "POST",
+      body: payload,
+      csrf: csrfToken,
+      waitForAuth: true,
+      signal: opts.signal,
+      onDelta: opts.onDelta,
+      onRetry: opts.onRetry,
+    });
+  }
+
+  async function postFormData(url, formData, csrfToken, options) {
+    const opts = options && typeof options === "object" ? options : {};
+    return await PAWApi.request(url, {
+      method: "POST",
+      body: formData,
+      csrf: csrfToken,
+      waitForAuth: true,
+      textKey: "transcript",
+      onRetry: opts.onRetry,
+    });
+  }
+
+  function buildPayloadBase(toolId, history, prefs, extraPayload) {
+    const payload = {
+      tool: toolId || "",
       message: "",
       history: Array.isArray(history) ? history : [],
       prefs: prefs && typeof prefs === "object" ? prefs : {},
@@ -818,15 +2293,363 @@ function removeNode(node) {
     return payload;
   }
 
+  // ─────────────────────────────────────────────
+  // Iframe height reporter (shell-owned)
+  // ─────────────────────────────────────────────
+  // Sends { type: "paw_iframe_height_request_v1", height } to the host so the
+  // embed grows to fit with no inner scrollbar. Replaces the per-page v1.1
+  // reporters and the old hidden __paw_layout_ping node.
+  // - ResizeObserver watches the panel, the Works root and every modal card.
+  //   A MutationObserver only picks up new targets and modal open/close.
+  // - Measures the panel, not the document, to avoid 100vh feedback loops.
+  // - Modals are position:fixed and do not grow the panel, so the report also
+  //   covers the tallest open modal card (deliverable modal, Works modals).
+  // - Debounced to one report per burst; sub-IGNORE_DELTA_PX changes are dropped.
+  // Pages: call PAWToolShell.requestHeightUpdate(force) after layout changes that
+  // do not resize an observed element (e.g. CSS-only animations).
+  const PAWHeightReporter = (function () {
+    const MESSAGE_TYPE = "paw_iframe_height_request_v1";
+    const IGNORE_DELTA_PX = 8;
+    const DEBOUNCE_MS = 60;
+    const MODAL_MARGIN_PX = 24;
+
+    let _lastSent = 0;
+    let _timer = 0;
+    let _force = false;
+    let _started = false;
+    let _ro = null;
+    const _observed = typeof WeakSet === "function" ? new WeakSet() : null;
+
+    function px(n) { n = Number(n); return isFinite(n) ? n : 0; }
+
+    function measurePanel() {
+      // Prefer the visible "panel" container (consistent across PAW tools)
+      const panel = document.querySelector(".panel");
+      if (panel) return Math.ceil(px(panel.getBoundingClientRect().height));
+
+      // Fallback: sum key areas if present
+      const topbar = document.querySelector(".panel-topbar");
+      const messages = document.getElementById("messages") || document.querySelector(".messages");
+      const composer = document.querySelector(".composer");
+      let h = 0;
+      if (topbar) h += px(topbar.getBoundingClientRect().height);
+      if (messages) h += px(messages.getBoundingClientRect().height);
+      if (composer) h += px(composer.getBoundingClientRect().height);
+      if (h > 0) return Math.ceil(h);
+
+      // Last-resort fallback (for simpler layouts)
+      const d = document.documentElement;
+      return Math.ceil(Math.max(px(d.scrollHeight), px(d.offsetHeight)));
+    }
+
+    function measureOpenModals() {
+      let h = 0;
+      document.querySelectorAll(".modal.show .modal-card").forEach(function (card) {
+        const r = card.getBoundingClientRect();
+        if (r.height) h = Math.max(h, Math.ceil(px(r.height) + MODAL_MARGIN_PX * 2));
+      });
+      return h;
+    }
+
+    function post(force) {
+      let h = 0;
+      try { h = Math.max(measurePanel(), measureOpenModals()); } catch (_) { h = 0; }
+      if (!h) return;
+      if (!force && Math.abs(h - _lastSent) < IGNORE_DELTA_PX) return;
+      _lastSent = h;
+      try {
+        window.parent.postMessage({ type: MESSAGE_TYPE, height: h }, "*");
+      } catch (_) {}
+    }
+
+    function schedule(force) {
+      if (force) _force = true;
+      if (_timer) return;
+      _timer = setTimeout(function () {
+        _timer = 0;
+        requestAnimationFrame(function () {
+          const f = _force;
+          _force = false;
+          post(f);
+        });
+      }, DEBOUNCE_MS);
+    }
+
+    function observeTargets() {
+      if (!_ro) return;
+      const targets = document.querySelectorAll(".panel, #pawWorksModeRoot, .modal-card");
+      if (!targets.length && document.body) _ro.observe(document.body);
+      targets.forEach(function (el) {
+        if (_observed && _observed.has(el)) return;
+        if (_observed) _observed.add(el);
+        _ro.observe(el);
+      });
+    }
+
+    function start() {
+      if (_started || !document.body) return;
+      _started = true;
+      let inFrame = true;
+      try { inFrame = window.self !== window.top; } catch (_) { inFrame = true; }
+      if (!inFrame) return;
+
+      try { _ro = new ResizeObserver(function () { schedule(false); }); } catch (_) { _ro = null; }
+      observeTargets();
+
+      try {
+        const mo = new MutationObserver(function () {
+          observeTargets();
+          schedule(false);
+        });
+        mo.observe(document.body, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: ["class", "hidden"],
+          // Without ResizeObserver, text changes are the only growth signal.
+          characterData: !_ro
+        });
+      } catch (_) {}
+
+      window.addEventListener("resize", function () { schedule(true); });
+
+      // Initial + settle passes (fonts/images/layout settle)
+      schedule(true);
+      setTimeout(function () { schedule(true); }, 120);
+      setTimeout(function () { schedule(true); }, 400);
+    }
+
+    if (document.body) start();
+    else document.addEventListener("DOMContentLoaded", start, { once: true });
+
+    return { schedule };
+  })();
+
+  function requestHeightUpdate(force) {
+    PAWHeightReporter.schedule(!!force);
+  }
+
+  // ─────────────────────────────────────────────
+  // Host ↔ tool bridge (postMessage, versioned)
+  // ─────────────────────────────────────────────
+  // Contract: docs/paw-api-contract.md "Host bridge".
+  //
+  // Host → tool:  { type: "paw_bridge_request_v1", id, method, params }
+  // Tool → host:  { type: "paw_bridge_response_v1", id, ok: true, result }
+  //               { type: "paw_bridge_response_v1", id, ok: false, error: { code, message } }
+  // Tool → host:  { type: "paw_bridge_event_v1", event, data }   (subscribed events only)
+  //
+  // - Requests from origins outside isAllowedParentOrigin() are ignored (no reply).
+  // - Replies go to the requesting window with its exact origin, never "*".
+  // - `id` is echoed untouched so the host can correlate concurrent requests.
+  // - The identity handshake and iframe height messages stay separate, older messages.
+  const PAWBridge = (function () {
+    const VERSION = 1;
+    const REQUEST_TYPE = "paw_bridge_request_v1";
+    const RESPONSE_TYPE = "paw_bridge_response_v1";
+    const EVENT_TYPE = "paw_bridge_event_v1";
+
+    // Bridge event name -> shell window event.
+    const EVENTS = Object.freeze({
+      "deliverable.created": "paw:deliverable:created",
+      "work.saved": "paw:works:saved",
+      "work.active_changed": "paw:works:active_changed"
+    });
+
+    // tool.switch targets (toolId or short name -> page).
+    const TOOL_PAGES = Object.freeze({
+      assistant: "guide.html",
+      guide: "guide.html",
+      listing: "listing.html",
+      listing_description_writer: "listing.html",
+      connect: "connect.html",
+      presence: "presence.html",
+      transactions: "transactions.html",
+      myworks: "myworks.html"
+    });
+
+    // One entry per host window: { source, origin, events: {name:true} }
+    const _subscribers = [];
+    const _wired = {};
+
+    function bridgeError(code, message) {
+      const err = new Error(message);
+      err.code = code;
+      return err;
+    }
+
+    function post(target, origin, message) {
+      try {
+        if (target && typeof target.postMessage === "function") target.postMessage(message, origin);
+      } catch (_) {}
+    }
+
+    function findSubscriber(source, origin) {
+      for (let i = 0; i < _subscribers.length; i++) {
+        if (_subscribers[i].source === source && _subscribers[i].origin === origin) return _subscribers[i];
+      }
+      return null;
+    }
+
+    function wireEvent(name) {
+      if (_wired[name]) return;
+      _wired[name] = true;
+      window.addEventListener(EVENTS[name], function (ev) {
+        let data = null;
+        try { data = JSON.parse(JSON.stringify((ev && ev.detail) || null)); } catch (_) { data = null; }
+        _subscribers.forEach(function (sub) {
+          if (sub.events[name]) post(sub.source, sub.origin, { type: EVENT_TYPE, v: VERSION, event: name, data: data });
+        });
+      });
+    }
+
+    function toolConfig() {
+      try { return (window.PAWToolShell && window.PAWToolShell._config) || {}; } catch (_) { return {}; }
+    }
+
+    function getActiveWork() {
+      try {
+        return window.__PAWWorks && window.__PAWWorks.getActiveWork ? window.__PAWWorks.getActiveWork() : null;
+      } catch (_) {
+        return null;
+      }
+    }
+
+    function openWork(params) {
+      const workId = safeText(params.work_id || params.id);
+      if (!workId) throw bridgeError("VALIDATION_ERROR", "work_id is required.");
+      if (!window.__PAWWorks || typeof window.__PAWWorks.attachWork !== "function") {
+        throw bridgeError("NOT_FOUND", "This page has no saved works.");
+      }
+      window.__PAWWorks.attachWork({
+        id: workId,
+        work_id: workId,
+        bucket: safeText(params.bucket),
+        label: safeText(params.label) || "Untitled"
+      });
+      return { active_work: getActiveWork() };
+    }
+
+    // Navigates this iframe. The host navigates its own frame if it needs to.
+    function switchTool(params) {
+      const page = TOOL_PAGES[safeText(params.tool).toLowerCase()];
+      if (!page) throw bridgeError("NOT_FOUND", "Unknown tool: " + safeText(params.tool));
+      const url = new URL(page, window.location.href);
+      url.searchParams.set("embed", "1");
+      ["work_id", "bucket", "label"].forEach(function (key) {
+        if (safeText(params[key])) url.searchParams.set(key, safeText(params[key]));
+      });
+      // Reply first; navigation unloads this frame.
+      setTimeout(function () { window.location.assign(url.toString()); }, 0);
+      return { url: url.toString() };
+    }
+
+    function setTheme(params) {
+      const root = document.documentElement;
+      const mode = safeText(params.mode).toLowerCase();
+      if (mode && mode !== "light" && mode !== "dark") {
+        throw bridgeError("VALIDATION_ERROR", "mode must be \"light\" or \"dark\".");
+      }
+      const accent = safeText(params.accent);
+      if (accent && !/^#[0-9a-f]{6}$/i.test(accent)) {
+        throw bridgeError("VALIDATION_ERROR", "accent must be a #rrggbb color.");
+      }
+      if (mode) root.setAttribute("data-paw-theme", mode);
+      if (accent) {
+        const n = parseInt(accent.slice(1), 16);
+        root.style.setProperty("--accent", accent);
+        root.style.setProperty("--accent-rgb", ((n >> 16) & 255) + "," + ((n >> 8) & 255) + "," + (n & 255));
+      }
+      return { mode: root.getAttribute("data-paw-theme") || "light", accent: accent || null };
+    }
+
+    function setSubscription(source, origin, params, on) {
+      const names = Array.isArray(params.events) ? params.events.map(safeText) : [];
+      const unknown = names.filter(function (n) { return !EVENTS[n]; });
+      if (unknown.length) throw bridgeError("VALIDATION_ERROR", "Unknown event: " + unknown.join(", "));
+
+      let sub = findSubscriber(source, origin);
+      if (!sub && on) {
+        sub = { source: source, origin: origin, events: {} };
+        _subscribers.push(sub);
+      }
+      if (sub) {
+        names.forEach(function (n) {
+          if (on) {
+            sub.events[n] = true;
+            wireEvent(n);
+          } else {
+            delete sub.events[n];
+          }
+        });
+      }
+      return { events: sub ? Object.keys(sub.events) : [] };
+    }
+
+    const METHODS = {
+      "bridge.hello": function () {
+        const cfg = toolConfig();
+        return {
+          version: VERSION,
+          tool_id: safeText(cfg.toolId),
+          methods: Object.keys(METHODS),
+          events: Object.keys(EVENTS)
+        };
+      },
+      "works.getActive": function () { return { active_work: getActiveWork() }; },
+      "works.open": function (params) { return openWork(params); },
+      "tool.switch": function (params) { return switchTool(params); },
+      "theme.set": function (params) { return setTheme(params); },
+      "events.subscribe": function (params, ev) { return setSubscription(ev.source, ev.origin, params, true); },
+      "events.unsubscribe": function (params, ev) { return setSubscription(ev.source, ev.origin, params, false); }
+    };
+
+    async function onMessage(event) {
+      const data = event && event.data;
+      if (!data || typeof data !== "object" || data.type !== REQUEST_TYPE) return;
+      if (!isAllowedParentOrigin(event.origin)) return;
+
+      const reply = { type: RESPONSE_TYPE, v: VERSION, id: data.id };
+      try {
+        if (data.v != null && Number(data.v) !== VERSION) {
+          throw bridgeError("UNSUPPORTED_VERSION", "Bridge version " + VERSION + " expected.");
+        }
+        const handler = METHODS[safeText(data.method)];
+        if (!handler) throw bridgeError("NOT_FOUND", "Unknown method: " + safeText(data.method));
+        const params = data.params && typeof data.params === "object" ? data.params : {};
+        reply.ok = true;
+        reply.result = await handler(params, event);
+      } catch (err) {
+        reply.ok = false;
+        reply.error = {
+          code: (err && err.code) || "INTERNAL",
+          message: (err && err.message) || "Bridge request failed."
+        };
+        delete reply.result;
+      }
+      post(event.source, event.origin, reply);
+    }
+
+    window.addEventListener("message", onMessage);
+
+    return { VERSION, EVENTS };
+  })();
+
   window.PAWAuth = PAWAuth;
+  window.PAWApi = PAWApi;
 
   window.PAWToolShell = {
     // Auth-only init for pages that don't use the chat shell (e.g., My Stuff).
-    authInit: function (apiEndpoint) {
+    authInit: function (apiEndpoint, host) {
+      setHostConfig(host);
       return PAWAuth.init(apiEndpoint);
     },
+    getHostConfig: getHostConfig,
+    requestHeightUpdate: requestHeightUpdate,
     init: function (config) {
       config = config || {};
+      // Must run before PAWAuth.init so the first identity request uses it.
+      setHostConfig(config.host);
       window.PAWToolShell._config = config || {};
       window.PAWToolShell._toast = showToast;
 
@@ -921,6 +2744,10 @@ function removeNode(node) {
       var lastDeliverableState = null;
       var lastInlineDirectCopyMode = false;
 
+      // In-flight request (Stop control). Declared early: updateSendEnabled() reads it on first paint.
+      let activeRequestController = null;
+      let sendButtonRestLabel = null;
+
       function isElementInViewport(el) {
         try {
           if (!el || !el.getBoundingClientRect) return true;
@@ -958,6 +2785,43 @@ function removeNode(node) {
         } catch (_) {}
       }
 
+      // ─────────────────────────────────────────────
+      // Copy formats (text deliverables)
+      // ─────────────────────────────────────────────
+      // "plain" (default, MLS fields / texts), "rich" (HTML + plain, for Gmail /
+      // Word), "markdown" (the source). The choice sticks per browser. Email
+      // bodies are always plain text.
+      const COPY_FORMATS = [
+        { id: "plain", label: "Plain text", toast: "Copied" },
+        { id: "rich", label: "Formatted", toast: "Copied with formatting" },
+        { id: "markdown", label: "Markdown", toast: "Copied as Markdown" }
+      ];
+      const COPY_FORMAT_KEY = "paw_copy_format_v1";
+      let copyFormat = "plain";
+      try {
+        const saved = window.localStorage.getItem(COPY_FORMAT_KEY);
+        if (COPY_FORMATS.some((f) => f.id === saved)) copyFormat = saved;
+      } catch (_) {}
+
+      function setCopyFormat(id) {
+        if (!COPY_FORMATS.some((f) => f.id === id)) return;
+        copyFormat = id;
+        try { window.localStorage.setItem(COPY_FORMAT_KEY, id); } catch (_) {}
+      }
+
+      // Returns the toast text for the format used.
+      function copyDeliverableText(markdown, format) {
+        const fmt = COPY_FORMATS.find((f) => f.id === format) || COPY_FORMATS[0];
+        if (fmt.id === "markdown") {
+          copyToClipboard(String(markdown || ""));
+        } else if (fmt.id === "rich") {
+          copyToClipboard(PAWMarkdown.toPlainText(markdown), { html: PAWMarkdown.toHtml(markdown) });
+        } else {
+          copyToClipboard(PAWMarkdown.toPlainText(markdown));
+        }
+        return fmt.toast;
+      }
+
       function copyInlineDeliverableState(deliverableState) {
         const state = deliverableState && typeof deliverableState === "object" ? deliverableState : {};
         if (String(state.variant || "").toLowerCase() === "email") {
@@ -965,8 +2829,7 @@ function removeNode(node) {
           showToast("Body copied");
           return;
         }
-        copyToClipboard(String(state.text || ""));
-        showToast("Copied");
+        showToast(copyDeliverableText(state.text, copyFormat));
       }
 
       function getCurrentSaveSnapshot() {
@@ -974,7 +2837,7 @@ function removeNode(node) {
         var prefs = {};
         var extraPayload = {};
 
-        try { shellState = getState(); } catch (_) { shellState = null; }
+        try { shellState = getState({ maxTurns: maxHistoryItems }); } catch (_) { shellState = null; }
         try { prefs = getPrefs ? getPrefs() : {}; } catch (_) { prefs = {}; }
         try {
           var currentInput = $input ? String($input.value || "") : "";
@@ -1025,7 +2888,7 @@ function removeNode(node) {
 
         function ensureLinks() {
           try {
-            const aiBubbles = $messages.querySelectorAll(".msg.ai .bubble");
+            const aiBubbles = $messages.querySelectorAll(".msg.ai:not(.paw-streaming) .bubble");
             if (!aiBubbles || !aiBubbles.length) return;
             const lastAiBubble = aiBubbles[aiBubbles.length - 1];
 
@@ -1053,6 +2916,10 @@ function removeNode(node) {
                 });
               }
 
+              ensureReplyControls(bubble, bubble === lastAiBubble);
+              ensureLimitBadge(bubble, bubble === lastAiBubble);
+              ensureListenLink(bubble);
+
               if (bubble === lastAiBubble && inlineDeliverableCopy) {
                 ensureInlineDeliverableCopyLink(bubble, {
                   onCopy: function () {
@@ -1119,7 +2986,8 @@ function removeNode(node) {
         try {
           if (!$send || !$input) return;
           ensureSendDisabledStyles();
-          const hasText = !!safeText($input.value);
+          // While a request is in flight the button is the Stop control, so it stays enabled.
+          const hasText = !!safeText($input.value) || !!activeRequestController;
           // Prefer a real disabled attribute for consistent click/keyboard behavior.
           try { $send.disabled = !hasText; } catch (_) {}
           try { $send.setAttribute("aria-disabled", String(!hasText)); } catch (_) {}
@@ -1168,6 +3036,10 @@ if ($input) {
           ? ($input.closest(".composer-main") || $input.parentElement || null)
           : null;
 
+      // Set by installVoiceInput: true while a server dictation session still has
+      // segments recording or transcribing, whose text has yet to reach the composer.
+      let voiceBlocksSend = null;
+
       function installVoiceInput() {
         if (!$input || !$composerMain || !apiEndpoint) return;
         if ($composerMain.querySelector(".paw-voice-btn")) return;
@@ -1178,24 +3050,51 @@ if ($input) {
           typeof navigator.mediaDevices.getUserMedia === "function"
         );
 
+        // Two ways to turn speech into text:
+        // - "server": record with MediaRecorder, upload to /voice/transcribe (default).
+        // - "local": the browser's Web Speech API, with live interim text in the composer.
+        // The choice lives in the small menu next to the mic (only when both exist).
+        // If an upload fails, this page session falls back to "local" on its own.
+        const SpeechRecognitionCtor = window.SpeechRecognition || window.webkitSpeechRecognition || null;
+        const canDictate = typeof SpeechRecognitionCtor === "function";
+        const canVoice = canRecord || canDictate;
+        const VOICE_MODE_KEY = "paw_voice_mode_v1";
+        let voiceModePref = "server";
+        try {
+          const savedMode = window.localStorage.getItem(VOICE_MODE_KEY);
+          if (savedMode === "server" || savedMode === "local") voiceModePref = savedMode;
+        } catch (_) {}
+        let serverVoiceDown = false;
+        let menuBtn = null;
+        let menu = null;
+
+        function getVoiceMode() {
+          if (!canDictate) return "server";
+          if (!canRecord || serverVoiceDown) return "local";
+          return voiceModePref;
+        }
+
         const state = {
-          status: canRecord ? "idle" : "unsupported",
+          status: canVoice ? "idle" : "unsupported",
           stream: null,
           recorder: null,
           chunks: [],
           startedAt: 0,
           durationMs: 0,
           armingTimer: 0,
-          warningTimer: 0,
+          tickTimer: 0,
           stopTimer: 0,
-          stopPromise: null
+          stopPromise: null,
+          session: null,
+          recognition: null,
+          dictationBase: null
         };
 
         const btn = document.createElement("button");
         btn.className = "paw-voice-btn";
         btn.type = "button";
-        btn.setAttribute("aria-label", canRecord ? "Record voice input" : "Voice input is not available");
-        btn.setAttribute("title", canRecord ? "Record voice input" : "Voice input is not available");
+        btn.setAttribute("aria-label", canVoice ? "Record voice input" : "Voice input is not available");
+        btn.setAttribute("title", canVoice ? "Record voice input" : "Voice input is not available");
         btn.setAttribute("aria-pressed", "false");
         btn.innerHTML =
           '<span class="paw-voice-btn__icon" aria-hidden="true">' +
@@ -1233,16 +3132,21 @@ if ($input) {
           if (state.status !== "recording") clearArmingVisual();
           btn.classList.toggle("is-recording", state.status === "recording");
           btn.classList.toggle("is-warning", state.status === "warning");
+          btn.classList.toggle("is-paused", state.status === "paused");
           btn.classList.toggle("is-processing", state.status === "processing");
           btn.classList.toggle("is-unsupported", state.status === "unsupported");
           btn.disabled = state.status === "processing" || state.status === "unsupported";
-          btn.setAttribute("aria-pressed", state.status === "recording" || state.status === "warning" ? "true" : "false");
+          if (menuBtn) menuBtn.disabled = state.status !== "idle";
+          btn.setAttribute("aria-pressed", isVoiceActive() ? "true" : "false");
           if (state.status === "processing") btn.setAttribute("aria-busy", "true");
           else btn.removeAttribute("aria-busy");
 
           if (state.status === "recording" || state.status === "warning") {
             btn.setAttribute("aria-label", "Stop recording voice input");
             btn.setAttribute("title", "Stop recording voice input");
+          } else if (state.status === "paused") {
+            btn.setAttribute("aria-label", "Finish dictation");
+            btn.setAttribute("title", "Finish dictation");
           } else if (state.status === "processing") {
             btn.setAttribute("aria-label", "Transcribing voice input");
             btn.setAttribute("title", "Transcribing voice input");
@@ -1253,19 +3157,48 @@ if ($input) {
             btn.setAttribute("aria-label", "Record voice input");
             btn.setAttribute("title", "Record voice input");
           }
+          renderDictationBar();
         }
 
-        function clearRecordingTimers() {
-          if (state.warningTimer) {
-            clearTimeout(state.warningTimer);
-            state.warningTimer = 0;
-          }
+        function isVoiceActive() {
+          return state.status === "recording" || state.status === "warning" || state.status === "paused";
+        }
+
+        // ---- Server dictation: one session, many segments ----
+        // A session holds up to DICTATION_MAX_MS of audio. Every SEGMENT_MS, and on
+        // Pause, the recorder is stopped and restarted on the same stream; the
+        // finished segment uploads to /voice/transcribe while recording goes on.
+        // Transcripts reach the composer in recording order, whatever order the
+        // uploads finish in. "Discard last" drops the segment being recorded or,
+        // while paused, the newest finished one (its text is taken back out).
+        const SEGMENT_MS = 30000;
+        const DICTATION_MAX_MS = 10 * 60 * 1000;
+        const DICTATION_WARNING_MS = 30000;
+        let dictationBar = null;
+
+        function clearSegmentTimer() {
           if (state.stopTimer) {
             clearTimeout(state.stopTimer);
             state.stopTimer = 0;
           }
         }
 
+        function clearRecordingTimers() {
+          clearSegmentTimer();
+          if (state.tickTimer) {
+            clearInterval(state.tickTimer);
+            state.tickTimer = 0;
+          }
+        }
+
+        function resetRecorder() {
+          state.recorder = null;
+          state.chunks = [];
+          state.startedAt = 0;
+          state.durationMs = 0;
+          state.stopPromise = null;
+        }
+
         function cleanupRecording() {
           clearRecordingTimers();
           try {
@@ -1276,11 +3209,9 @@ if ($input) {
             }
           } catch (_) {}
           state.stream = null;
-          state.recorder = null;
-          state.chunks = [];
-          state.startedAt = 0;
-          state.durationMs = 0;
-          state.stopPromise = null;
+          state.session = null;
+          resetRecorder();
+          renderDictationBar();
         }
 
         function getPreferredAudioMimeType() {
@@ -1315,12 +3246,15 @@ if ($input) {
               $input.dispatchEvent(ev);
             } catch (_) {}
           }
-          try { pawScheduleLayoutPing(); } catch (_) {}
+          requestHeightUpdate();
         }
 
+        // Returns where the text went: { start, text, replaced } (text includes any
+        // spacing added around it; replaced is the selection it overwrote).
         function appendTranscriptToComposer(transcript) {
           const nextText = safeText(transcript);
-          if (!nextText) return;
+          if (!nextText) return null;
+          let range = null;
 
           const current = String($input.value || "");
           const hasSelectionApi =
@@ -1337,16 +3271,20 @@ if ($input) {
             if (before && !/\s$/.test(before)) insert = " " + insert;
             if (after && !/^\s/.test(after)) insert = insert + " ";
             $input.value = before + insert + after;
+            range = { start: before.length, text: insert, replaced: current.slice(start, end) };
             const caret = before.length + insert.length;
             try { $input.setSelectionRange(caret, caret); } catch (_) {}
           } else if (!safeText(current)) {
             $input.value = nextText;
+            range = { start: 0, text: nextText, replaced: current };
           } else {
             const separator = /\s$/.test(current) ? "" : " ";
             $input.value = current + separator + nextText;
+            range = { start: current.length, text: separator + nextText, replaced: "" };
           }
 
           dispatchComposerInput();
+          return range;
         }
 
         async function transcribeRecording(audioBlob, durationMs) {
@@ -1355,17 +3293,20 @@ if ($input) {
           formData.append("duration_ms", String(Math.max(0, Math.round(durationMs || 0))));
 
           const url = String(apiEndpoint || "").replace(/\/+$/, "") + "/voice/transcribe";
-          const data = await postFormData(url, formData, getCSRFTokenFromMeta());
-          const transcript = safeText(data && data.transcript);
-          if (!transcript) throw new Error("No transcript returned.");
-          appendTranscriptToComposer(transcript);
+          const data = await postFormData(url, formData, getCSRFTokenFromMeta(), {
+            onRetry: function (info) { showRetryCountdown(info); }
+          });
+          // Silence comes back as an empty transcript; that is a result, not an error.
+          // Only a failed upload (network or HTTP) rejects.
+          return safeText(data && data.transcript);
         }
 
         function stopRecording() {
           if (!state.recorder) return Promise.resolve(null);
           if (state.stopPromise) return state.stopPromise;
 
-          clearRecordingTimers();
+          // Stops the current segment only; the stream stays open for the next one.
+          clearSegmentTimer();
           state.durationMs = state.startedAt ? Date.now() - state.startedAt : 0;
 
           state.stopPromise = new Promise(function (resolve, reject) {
@@ -1375,22 +3316,22 @@ if ($input) {
                 const blobType = recorder.mimeType || getPreferredAudioMimeType() || "";
                 const audioBlob = new Blob(state.chunks, blobType ? { type: blobType } : {});
                 const durationMs = state.durationMs;
-                cleanupRecording();
+                resetRecorder();
                 resolve({ blob: audioBlob, durationMs: durationMs });
               } catch (err) {
-                cleanupRecording();
+                resetRecorder();
                 reject(err);
               }
             };
             recorder.onerror = function (event) {
-              cleanupRecording();
+              resetRecorder();
               reject((event && event.error) || new Error("Recording failed."));
             };
             try {
               if (recorder.state !== "inactive") recorder.stop();
               else recorder.onstop();
             } catch (err) {
-              cleanupRecording();
+              resetRecorder();
               reject(err);
             }
           });
@@ -1398,104 +3339,629 @@ if ($input) {
           return state.stopPromise;
         }
 
-        async function stopAndTranscribe() {
-          if (state.status !== "recording" && state.status !== "warning") return;
+        function getElapsedMs() {
+          const session = state.session;
+          if (!session) return 0;
+          return session.elapsedMs + (state.recorder && state.startedAt ? Date.now() - state.startedAt : 0);
+        }
 
-          try {
-            setVoiceState("processing");
-            const result = await stopRecording();
-            if (!result || !result.blob || !result.blob.size) {
-              setVoiceState("idle");
-              return;
-            }
-            await transcribeRecording(result.blob, result.durationMs);
-          } catch (_) {
-            try { showToast("Voice input is not available right now."); } catch (_) {}
-          } finally {
+        // No-op while a recorder exists: a roll and a discard may both try to restart.
+        function startSegment() {
+          const session = state.session;
+          if (!session || !state.stream || state.recorder) return;
+          clearSegmentTimer();
+          const mimeType = getPreferredAudioMimeType();
+          const recorder = new MediaRecorder(state.stream, mimeType ? { mimeType: mimeType } : undefined);
+          state.recorder = recorder;
+          state.chunks = [];
+          state.startedAt = Date.now();
+
+          recorder.ondataavailable = function (event) {
+            if (event && event.data && event.data.size > 0) state.chunks.push(event.data);
+          };
+          recorder.onerror = function () {
+            if (state.recorder !== recorder) return;
             cleanupRecording();
-            setVoiceState(canRecord ? "idle" : "unsupported");
+            setVoiceState("idle");
+            try { showToast("Voice input is not available right now."); } catch (_) {}
+          };
+
+          recorder.start();
+          const remaining = DICTATION_MAX_MS - session.elapsedMs;
+          state.stopTimer = setTimeout(function () {
+            if (getElapsedMs() >= DICTATION_MAX_MS - 250) stopAndTranscribe();
+            else rollSegment();
+          }, Math.max(1000, Math.min(SEGMENT_MS, remaining)));
+        }
+
+        // Ends the segment being recorded and uploads it unless discarded. One end
+        // runs at a time: later callers (Pause, Discard, Done during a roll) wait
+        // for it, and a discard that arrives meanwhile drops the segment it yields.
+        function endSegment(discard) {
+          const session = state.session;
+          if (!session) return Promise.resolve();
+          if (session.ending) {
+            if (discard) session.discardEnding = true;
+            return session.ending;
           }
+          session.discardEnding = !!discard;
+          const ending = stopRecording()
+            .then(function (result) {
+              if (result && !session.discardEnding) uploadSegment(session, result);
+            })
+            .finally(function () {
+              session.ending = null;
+              session.discardEnding = false;
+            });
+          session.ending = ending;
+          return ending;
         }
 
-        async function startRecording() {
-          if (!canRecord || state.status !== "idle" || btn.classList.contains("is-arming")) return;
+        function uploadSegment(session, result) {
+          session.elapsedMs += result.durationMs;
+          if (!result.blob || !result.blob.size) return;
+
+          const seg = { status: "uploading", text: "", inserted: false, promise: null };
+          session.segments.push(seg);
+          seg.promise = transcribeRecording(result.blob, result.durationMs)
+            .then(function (transcript) {
+              if (seg.status === "uploading") {
+                seg.text = transcript;
+                seg.status = "done";
+              }
+            }, function () {
+              if (seg.status === "uploading") {
+                seg.status = "failed";
+                session.failed += 1;
+              }
+            })
+            .then(function () {
+              flushSegments(session);
+              renderDictationBar();
+            });
+          renderDictationBar();
+        }
 
-          let stream = null;
-          try {
-            beginArmingVisual();
-            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            const mimeType = getPreferredAudioMimeType();
-            const options = mimeType ? { mimeType: mimeType } : undefined;
-            const recorder = new MediaRecorder(stream, options);
+        function flushSegments(session) {
+          while (session.flushed < session.segments.length) {
+            const seg = session.segments[session.flushed];
+            if (seg.status === "uploading") break;
+            if (seg.status === "done" && seg.text) {
+              session.writing = true;
+              const range = appendTranscriptToComposer(seg.text);
+              session.writing = false;
+              session.composerText = String($input.value || "");
+              if (range) {
+                shiftSegmentRanges(session, range.start, range.replaced.length, range.text.length);
+                seg.range = range;
+                seg.inserted = true;
+              }
+            }
+            session.flushed += 1;
+          }
+        }
 
-            state.stream = stream;
-            state.recorder = recorder;
-            state.chunks = [];
-            state.startedAt = Date.now();
+        // Keeps the recorded ranges of inserted segments in step when the composer
+        // text at [at, at + removedLen) becomes addedLen characters long. A range
+        // the change overlaps is dropped: that segment can no longer be removed.
+        function shiftSegmentRanges(session, at, removedLen, addedLen) {
+          session.segments.forEach(function (seg) {
+            const r = seg.range;
+            if (!r) return;
+            if (r.start >= at + removedLen) r.start += addedLen - removedLen;
+            else if (r.start + r.text.length > at) seg.range = null;
+          });
+        }
 
-            recorder.ondataavailable = function (event) {
-              if (event && event.data && event.data.size > 0) state.chunks.push(event.data);
-            };
-            recorder.onerror = function () {
-              cleanupRecording();
-              setVoiceState("idle");
-              try { showToast("Voice input is not available right now."); } catch (_) {}
-            };
+        // Takes one inserted segment back out, restoring any selection it replaced.
+        // False when its text is no longer where it was put (the user edited it).
+        function removeSegmentFromComposer(session, seg) {
+          const r = seg.range;
+          const current = String($input.value || "");
+          seg.range = null;
+          if (!r || current.slice(r.start, r.start + r.text.length) !== r.text) return false;
+          $input.value = current.slice(0, r.start) + r.replaced + current.slice(r.start + r.text.length);
+          session.composerText = String($input.value);
+          shiftSegmentRanges(session, r.start, r.text.length, r.replaced.length);
+          session.writing = true;
+          dispatchComposerInput();
+          session.writing = false;
+          return true;
+        }
 
-            recorder.start();
-            setVoiceState("recording");
+        // The composer stays editable during server dictation: follow the user's
+        // own edits (one changed span per input event) so recorded ranges stay true.
+        function trackComposerEdit() {
+          const session = state.session;
+          if (!session || session.writing) return;
+          const prev = session.composerText;
+          const next = String($input.value || "");
+          session.composerText = next;
+          if (prev === next) return;
+          let head = 0;
+          while (head < prev.length && head < next.length && prev[head] === next[head]) head++;
+          let tail = 0;
+          while (
+            tail < prev.length - head && tail < next.length - head &&
+            prev[prev.length - 1 - tail] === next[next.length - 1 - tail]
+          ) tail++;
+          shiftSegmentRanges(session, head, prev.length - head - tail, next.length - head - tail);
+        }
 
-            state.warningTimer = setTimeout(function () {
-              if (state.status === "recording") setVoiceState("warning");
-            }, 30000);
-            state.stopTimer = setTimeout(function () {
-              stopAndTranscribe();
-            }, 40000);
+        async function rollSegment() {
+          const session = state.session;
+          if (!session || session.paused || !state.recorder) return;
+          try {
+            await endSegment(false);
+            if (canResumeSegment(session)) startSegment();
           } catch (_) {
-            if (stream && stream.getTracks) {
-              try { stream.getTracks().forEach(function (track) { track.stop(); }); } catch (__) {}
-            }
-            cleanupRecording();
-            setVoiceState("idle");
-            try { showToast("Microphone permission is needed to record."); } catch (__) {}
+            stopAndTranscribe();
           }
         }
 
-        btn.addEventListener("click", function () {
-          if (state.status === "processing" || state.status === "unsupported") return;
-          if (state.status === "recording" || state.status === "warning") {
+        function canResumeSegment(session) {
+          return state.session === session && !session.paused && state.status !== "processing";
+        }
+
+        async function pauseDictation() {
+          const session = state.session;
+          if (!session || session.paused || !state.recorder) return;
+          session.paused = true;
+          setVoiceState("paused");
+          try {
+            await endSegment(false);
+          } catch (_) {}
+          renderDictationBar();
+        }
+
+        function resumeDictation() {
+          const session = state.session;
+          if (!session || !session.paused || state.status !== "paused") return;
+          if (getElapsedMs() >= DICTATION_MAX_MS) {
             stopAndTranscribe();
             return;
           }
-          startRecording();
-        });
-        btn.addEventListener("mousedown", function (event) {
-          try { event.preventDefault(); } catch (_) {}
-        });
-
-        setVoiceState(state.status);
-      }
+          try {
+            session.paused = false;
+            startSegment();
+            setVoiceState(DICTATION_MAX_MS - getElapsedMs() <= DICTATION_WARNING_MS ? "warning" : "recording");
+          } catch (_) {
+            stopAndTranscribe();
+          }
+        }
 
-      installVoiceInput();
+        async function discardLastSegment() {
+          const session = state.session;
+          if (!session || state.status === "processing") return;
+          if (state.recorder) {
+            try {
+              await endSegment(true);
+              if (canResumeSegment(session)) startSegment();
+              try { showToast("Dropped that part. Still recording."); } catch (_) {}
+            } catch (_) {
+              stopAndTranscribe();
+            }
+            return;
+          }
+          for (let i = session.segments.length - 1; i >= 0; i -= 1) {
+            const seg = session.segments[i];
+            if (seg.status === "discarded" || seg.status === "failed") continue;
+            if (seg.status === "done" && !seg.text) continue; // silence: nothing to take back
+            const removed = !seg.inserted || removeSegmentFromComposer(session, seg);
+            seg.status = "discarded";
+            seg.inserted = false;
+            renderDictationBar();
+            try {
+              showToast(removed
+                ? "Last part discarded."
+                : "That part was edited in the message box, so it was left there. Delete it by hand if you need to.");
+            } catch (_) {}
+            return;
+          }
+        }
 
-      const deliverableMode = config.deliverableMode !== false; // default true
-      const inlineDeliverableCopy = config.inlineDeliverableCopy === true;
-      const getDeliverableTitle =
-        typeof config.deliverableTitle === "function"
-          ? config.deliverableTitle
-          : function () {
-              return safeText(config.deliverableTitle || "Deliverable");
-            };
+        function tickDictation() {
+          if (!state.session) return;
+          if (state.status === "recording" && DICTATION_MAX_MS - getElapsedMs() <= DICTATION_WARNING_MS) {
+            setVoiceState("warning");
+            return;
+          }
+          renderDictationBar();
+        }
 
-      const inputPlaceholder = safeText(config.inputPlaceholder);
-      if ($input && inputPlaceholder) $input.setAttribute("placeholder", inputPlaceholder);
+        // Done (mic, bar or time limit): upload what's left, wait for every segment.
+        async function stopAndTranscribe() {
+          const session = state.session;
+          if (!session || state.status === "processing") return;
+
+          clearRecordingTimers();
+          setVoiceState("processing");
+          let recorderFailed = false;
+          try {
+            try {
+              if (state.recorder || session.ending) await endSegment(false);
+            } catch (_) {
+              recorderFailed = true;
+            }
+            // Segment promises settle on their own; failed uploads are counted in session.failed.
+            await Promise.all(session.segments.map(function (seg) { return seg.promise; }).filter(Boolean));
+            flushSegments(session);
+            const heard = session.segments.some(function (seg) { return seg.status === "done" && seg.text; });
+            if (session.failed) {
+              // Only a failed upload means the server side is down.
+              if (canDictate && !serverVoiceDown) {
+                serverVoiceDown = true;
+                updateVoiceMenu();
+                try { showToast("Transcription isn’t available right now. Tap the mic to dictate in the browser instead."); } catch (_) {}
+              } else {
+                try { showToast("Some of your recording couldn’t be transcribed."); } catch (_) {}
+              }
+            } else if (recorderFailed) {
+              try { showToast("Voice input is not available right now."); } catch (_) {}
+            } else if (!heard && session.segments.some(function (seg) { return seg.status === "done"; })) {
+              try { showToast("No speech was picked up."); } catch (_) {}
+            }
+          } finally {
+            cleanupRecording();
+            setVoiceState(canVoice ? "idle" : "unsupported");
+          }
+        }
+
+        function formatClock(ms) {
+          const total = Math.max(0, Math.floor(ms / 1000));
+          return Math.floor(total / 60) + ":" + String(total % 60).padStart(2, "0");
+        }
+
+        function renderDictationBar() {
+          const session = state.session;
+          if (!session) {
+            if (dictationBar && !dictationBar.hidden) {
+              dictationBar.hidden = true;
+              requestHeightUpdate();
+            }
+            return;
+          }
+          if (!dictationBar) {
+            dictationBar = document.createElement("div");
+            dictationBar.className = "paw-dictation-bar";
+            dictationBar.hidden = true;
+            dictationBar.innerHTML =
+              '<span class="paw-dictation-bar__dot" aria-hidden="true"></span>' +
+              '<span class="paw-dictation-bar__time" role="timer"></span>' +
+              '<span class="paw-dictation-bar__left"></span>' +
+              '<span class="paw-dictation-bar__parts"></span>' +
+              '<span class="paw-dictation-bar__actions">' +
+                '<button type="button" class="btn" data-dictation="pause">Pause</button>' +
+                '<button type="button" class="btn" data-dictation="discard">Discard last</button>' +
+                '<button type="button" class="btn primary" data-dictation="done">Done</button>' +
+              "</span>";
+            dictationBar.addEventListener("mousedown", function (event) {
+              // Keep the composer's caret where it was.
+              try { event.preventDefault(); } catch (_) {}
+            });
+            dictationBar.addEventListener("click", function (event) {
+              const action = event.target && event.target.getAttribute ? event.target.getAttribute("data-dictation") : "";
+              if (action === "pause") {
+                if (state.status === "paused") resumeDictation();
+                else pauseDictation();
+              } else if (action === "discard") {
+                discardLastSegment();
+              } else if (action === "done") {
+                stopAndTranscribe();
+              }
+            });
+            $composerMain.insertBefore(dictationBar, $composerMain.firstChild);
+          }
+
+          const elapsed = getElapsedMs();
+          const kept = session.segments.filter(function (seg) { return seg.status !== "discarded"; });
+          const pending = kept.filter(function (seg) { return seg.status === "uploading"; }).length;
+          const processing = state.status === "processing";
+          const paused = state.status === "paused";
+
+          dictationBar.querySelector(".paw-dictation-bar__time").textContent = formatClock(elapsed);
+          dictationBar.querySelector(".paw-dictation-bar__left").textContent =
+            formatClock(DICTATION_MAX_MS - elapsed) + " left";
+          dictationBar.querySelector(".paw-dictation-bar__parts").textContent = processing
+            ? "Finishing transcription…"
+            : (paused ? "Paused · " : "") + kept.length + (kept.length === 1 ? " part" : " parts") +
+              (pending ? " · " + pending + " transcribing" : "") +
+              (session.failed ? " · " + session.failed + " failed" : "");
+
+          const pauseBtn = dictationBar.querySelector('[data-dictation="pause"]');
+          pauseBtn.textContent = paused ? "Resume" : "Pause";
+          pauseBtn.disabled = processing || (!paused && !state.recorder);
+          dictationBar.querySelector('[data-dictation="discard"]').disabled =
+            processing || (!state.recorder && !kept.some(function (seg) { return seg.status !== "failed"; }));
+          dictationBar.querySelector('[data-dictation="done"]').disabled = processing;
+          dictationBar.classList.toggle("is-paused", paused);
+          dictationBar.classList.toggle("is-warning", state.status === "warning");
+
+          if (dictationBar.hidden) {
+            dictationBar.hidden = false;
+            requestHeightUpdate();
+          }
+        }
+
+        // ---- Browser dictation (Web Speech API) ----
+        // The composer is rebuilt from a snapshot on every result, so interim
+        // words are replaced in place instead of piling up. It is read-only while
+        // dictating so typed text can't be overwritten.
+        function writeDictation(text) {
+          const base = state.dictationBase;
+          if (!base) return;
+          $input.value = base.value;
+          if (base.focused && typeof base.start === "number") {
+            try { $input.setSelectionRange(base.start, base.end); } catch (_) {}
+          }
+          if (safeText(text)) appendTranscriptToComposer(text);
+          else dispatchComposerInput();
+        }
+
+        function finishDictation() {
+          state.recognition = null;
+          state.dictationBase = null;
+          $input.readOnly = false;
+          setVoiceState(canVoice ? "idle" : "unsupported");
+        }
+
+        function stopDictation() {
+          if (!state.recognition) return;
+          try { state.recognition.stop(); } catch (_) { finishDictation(); }
+        }
+
+        function startDictation() {
+          if (!canDictate || state.status !== "idle") return;
+          let recognition = null;
+          try {
+            recognition = new SpeechRecognitionCtor();
+          } catch (_) {
+            try { showToast("Dictation is not available in this browser."); } catch (__) {}
+            return;
+          }
+          recognition.lang = document.documentElement.lang || navigator.language || "en-US";
+          recognition.interimResults = true;
+          recognition.continuous = true;
+
+          state.dictationBase = {
+            value: String($input.value || ""),
+            start: $input.selectionStart,
+            end: $input.selectionEnd,
+            focused: document.activeElement === $input
+          };
+          state.recognition = recognition;
+
+          recognition.onresult = function (event) {
+            if (state.recognition !== recognition) return;
+            const parts = [];
+            for (let i = 0; i < event.results.length; i += 1) {
+              const piece = safeText(event.results[i][0] && event.results[i][0].transcript);
+              if (piece) parts.push(piece);
+            }
+            writeDictation(parts.join(" "));
+          };
+          recognition.onerror = function (event) {
+            const code = event && event.error ? String(event.error) : "";
+            if (code === "not-allowed" || code === "service-not-allowed") showToast("Microphone permission is needed to dictate.");
+            else if (code === "no-speech") showToast("Didn’t catch that. Try again.");
+            else if (code !== "aborted") showToast("Dictation stopped. Try again.");
+          };
+          recognition.onend = function () {
+            if (state.recognition === recognition) finishDictation();
+          };
+
+          try {
+            recognition.start();
+            $input.readOnly = true;
+            setVoiceState("recording");
+          } catch (_) {
+            state.recognition = null;
+            state.dictationBase = null;
+            try { showToast("Dictation is not available right now."); } catch (__) {}
+          }
+        }
+
+        // ---- Voice settings menu ----
+        function updateVoiceMenu() {
+          if (!menu) return;
+          const mode = getVoiceMode();
+          menu.querySelectorAll("[data-voice-mode]").forEach(function (item) {
+            item.setAttribute("aria-checked", item.getAttribute("data-voice-mode") === mode ? "true" : "false");
+          });
+          const note = menu.querySelector(".paw-voice-menu__note");
+          if (note) note.hidden = !serverVoiceDown;
+        }
+
+        function closeVoiceMenu() {
+          if (!menu || menu.hidden) return;
+          menu.hidden = true;
+          menuBtn.setAttribute("aria-expanded", "false");
+        }
+
+        function installVoiceMenu() {
+          if (!canRecord || !canDictate) return;
+          menuBtn = document.createElement("button");
+          menuBtn.className = "paw-voice-menu-btn";
+          menuBtn.type = "button";
+          menuBtn.setAttribute("aria-label", "Voice input settings");
+          menuBtn.setAttribute("title", "Voice input settings");
+          menuBtn.setAttribute("aria-haspopup", "menu");
+          menuBtn.setAttribute("aria-expanded", "false");
+          menuBtn.textContent = "▾";
+
+          menu = document.createElement("div");
+          menu.className = "paw-voice-menu";
+          menu.setAttribute("role", "menu");
+          menu.hidden = true;
+          menu.innerHTML =
+            '<button type="button" role="menuitemradio" data-voice-mode="server">' +
+              '<span class="paw-voice-menu__title">Transcribe on PAW</span>' +
+              '<span class="paw-voice-menu__desc">Most accurate. Text appears when you stop.</span>' +
+              '<span class="paw-voice-menu__note" hidden>Not available right now.</span>' +
+            '</button>' +
+            '<button type="button" role="menuitemradio" data-voice-mode="local">' +
+              '<span class="paw-voice-menu__title">Browser dictation</span>' +
+              '<span class="paw-voice-menu__desc">Live text as you speak, using your browser’s speech service.</span>' +
+            '</button>';
+
+          menuBtn.addEventListener("mousedown", function (event) {
+            try { event.preventDefault(); } catch (_) {}
+          });
+          menuBtn.addEventListener("click", function () {
+            if (!menu.hidden) {
+              closeVoiceMenu();
+              return;
+            }
+            updateVoiceMenu();
+            menu.hidden = false;
+            menuBtn.setAttribute("aria-expanded", "true");
+          });
+          menu.addEventListener("click", function (event) {
+            const item = event.target && event.target.closest ? event.target.closest("[data-voice-mode]") : null;
+            if (!item) return;
+            voiceModePref = item.getAttribute("data-voice-mode");
+            // Picking the server again means "try it again".
+            if (voiceModePref === "server") serverVoiceDown = false;
+            try { window.localStorage.setItem(VOICE_MODE_KEY, voiceModePref); } catch (_) {}
+            updateVoiceMenu();
+            closeVoiceMenu();
+          });
+          document.addEventListener("click", function (event) {
+            if (menu.hidden) return;
+            if (menu.contains(event.target) || menuBtn.contains(event.target)) return;
+            closeVoiceMenu();
+          });
+          document.addEventListener("keydown", function (event) {
+            if (event.key === "Escape") closeVoiceMenu();
+          });
+
+          $composerMain.appendChild(menuBtn);
+          $composerMain.appendChild(menu);
+        }
+
+        async function startRecording() {
+          if (!canRecord || state.status !== "idle" || btn.classList.contains("is-arming")) return;
+
+          let stream = null;
+          try {
+            beginArmingVisual();
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            state.stream = stream;
+            state.session = {
+              segments: [],
+              flushed: 0,
+              elapsedMs: 0,
+              paused: false,
+              failed: 0,
+              ending: null,
+              discardEnding: false,
+              composerText: String($input.value || ""),
+              writing: false
+            };
+            startSegment();
+            setVoiceState("recording");
+            state.tickTimer = setInterval(tickDictation, 500);
+          } catch (_) {
+            if (stream && stream.getTracks) {
+              try { stream.getTracks().forEach(function (track) { track.stop(); }); } catch (__) {}
+            }
+            cleanupRecording();
+            setVoiceState("idle");
+            try { showToast("Microphone permission is needed to record."); } catch (__) {}
+          }
+        }
+
+        btn.addEventListener("click", function () {
+          if (state.status === "processing" || state.status === "unsupported") return;
+          closeVoiceMenu();
+          if (isVoiceActive()) {
+            if (state.recognition) stopDictation();
+            else stopAndTranscribe();
+            return;
+          }
+          if (getVoiceMode() === "local") startDictation();
+          else startRecording();
+        });
+        btn.addEventListener("mousedown", function (event) {
+          try { event.preventDefault(); } catch (_) {}
+        });
+
+        $input.addEventListener("input", trackComposerEdit);
+        voiceBlocksSend = function () { return !!state.session; };
+
+        installVoiceMenu();
+        setVoiceState(state.status);
+      }
+
+      installVoiceInput();
+
+      const deliverableMode = config.deliverableMode !== false; // default true
+      const streamReplies = config.streamReplies !== false; // default true (JSON Workers are unaffected)
+      const inlineDeliverableCopy = config.inlineDeliverableCopy === true;
+      const deliverablesPanelEnabled =
+        typeof config.deliverablesPanel === "boolean" ? config.deliverablesPanel : deliverableMode;
+      const exportEnabled = config.exportThread !== false; // default true
+      // One-tap revisions in the deliverable modal. Tools pass their own set as
+      // reviseChips: [{ id, label, instruction }] (or plain labels); false hides the row.
+      const DEFAULT_REVISE_CHIPS = [
+        { id: "shorter", label: "Shorter", instruction: "Make it shorter. Keep every fact that matters." },
+        { id: "more_casual", label: "More casual", instruction: "Make the tone more casual and conversational." },
+        { id: "more_professional", label: "More professional", instruction: "Make the tone more polished and professional." },
+        { id: "add_cta", label: "Add a call to action", instruction: "Add a clear call to action at the end." },
+        { id: "no_emojis", label: "Remove emojis", instruction: "Remove all emojis." }
+      ];
+      const reviseChips = normalizeReviseChips(config.reviseChips);
+      // Platform limits for the deliverable being built, from the tool's current
+      // context: getDeliverableLimits(deliverableMeta) -> { label, maxChars, maxWords,
+      // maxSegments, sms } or null. Captured on the deliverable when it is created.
+      const getDeliverableLimits =
+        typeof config.getDeliverableLimits === "function" ? config.getDeliverableLimits : null;
+
+      function normalizeReviseChips(list) {
+        if (list === false) return [];
+        if (!Array.isArray(list)) return DEFAULT_REVISE_CHIPS;
+        return list
+          .map((c) => {
+            if (typeof c === "string") c = { label: c };
+            if (!c || typeof c !== "object") return null;
+            const label = safeText(c.label);
+            if (!label) return null;
+            return {
+              id: safeText(c.id) || label.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, ""),
+              label: label,
+              instruction: safeText(c.instruction) || label + "."
+            };
+          })
+          .filter(Boolean);
+      }
+      const getDeliverableTitle =
+        typeof config.deliverableTitle === "function"
+          ? config.deliverableTitle
+          : function () {
+              return safeText(config.deliverableTitle || "Deliverable");
+            };
+
+      const inputPlaceholder = safeText(config.inputPlaceholder);
+      if ($input && inputPlaceholder) $input.setAttribute("placeholder", inputPlaceholder);
 
       const sendHistoryItems =
         typeof config.sendHistoryItems === "number" ? config.sendHistoryItems : 10;
+      // Estimated tokens for history + summary per send (see "History window" below).
+      const historyTokenBudget =
+        typeof config.historyTokenBudget === "number" && config.historyTokenBudget > 0
+          ? config.historyTokenBudget
+          : 3000;
+      // Hard cap on stored turns of the active path (memory, drafts, Works saves);
+      // 0 keeps every turn. Turns past it fold into the history summary (see trimStoredTurns).
       const maxHistoryItems =
         typeof config.maxHistoryItems === "number" ? config.maxHistoryItems : 20;
+      const summarizeHistory = config.summarizeHistory !== false;
+      const showContextMeter = config.contextIndicator !== false;
 
       let history = [];
+      let threadTurns = [];
+      let activeLeafId = null;
+      let threadTurnSeq = 0;
       let isSending = false;
       let composerWorkingSnapshot = null;
       let $composerBusyMessage = null;
@@ -1538,293 +4004,1832 @@ if ($input) {
             $send.removeAttribute("aria-busy");
             $send.removeAttribute("data-loading");
           }
+          setSendButtonStopMode(!!(on && activeRequestController));
+        } catch (_) {}
+      }
+
+      // ==========================================================
+      // Stop / cancel for in-flight requests
+      // ----------------------------------------------------------
+      // - The busy send button doubles as the Stop control (same ring, same spot).
+      // - Only a click stops; Enter while busy stays a no-op so a stray keypress
+      //   never throws away a long request.
+      // - Aborting cancels the fetch (and any stream) in postJSON. sendMessage /
+      //   sendExtra then roll back their user turn and restore the composer.
+      // ==========================================================
+      function setSendButtonStopMode(on){
+        try {
+          if (!$send) return;
+          if (on) {
+            if (sendButtonRestLabel === null) sendButtonRestLabel = $send.getAttribute("aria-label") || "";
+            $send.setAttribute("data-paw-stop", "1");
+            $send.setAttribute("aria-label", "Stop generating");
+            $send.setAttribute("title", "Stop");
+          } else {
+            $send.removeAttribute("data-paw-stop");
+            $send.removeAttribute("title");
+            if (sendButtonRestLabel !== null) {
+              if (sendButtonRestLabel) $send.setAttribute("aria-label", sendButtonRestLabel);
+              else $send.removeAttribute("aria-label");
+            }
+            sendButtonRestLabel = null;
+          }
+          updateSendEnabled();
+        } catch (_) {}
+      }
+
+      function beginAbortableRequest(){
+        try {
+          activeRequestController = typeof AbortController === "function" ? new AbortController() : null;
+        } catch (_) {
+          activeRequestController = null;
+        }
+        return activeRequestController;
+      }
+
+      function endAbortableRequest(controller){
+        if (activeRequestController === controller) activeRequestController = null;
+      }
+
+      function stopInFlightRequest(){
+        if (!isSending || !activeRequestController) return false;
+        try { activeRequestController.abort(); } catch (_) {}
+        return true;
+      }
+
+      // Removes the user turn a cancelled send pushed, so history never ends on an
+      // unanswered prompt. Identity match: pushHistory may have trimmed older turns.
+      function rollbackUserTurn(item, wrap){
+        try {
+          const idx = item ? history.lastIndexOf(item) : -1;
+          if (idx !== -1) history.splice(idx, 1);
+          if (item) {
+            threadTurns = threadTurns.filter((t) => t !== item);
+            if (activeLeafId === item.id) activeLeafId = item.parent;
+          }
         } catch (_) {}
+        updateContextMeter();
+        updateExportButton();
+        const block = wrap && wrap.closest ? wrap.closest(".paw-turn-block") : null;
+        removeNode(block || wrap);
       }
 
       function pushHistory(role, content) {
         const item = {
+          id: "t" + (++threadTurnSeq),
+          parent: activeLeafId,
           role: role === "assistant" ? "assistant" : "user",
           content: String(content || ""),
         };
+        const parent = findTurn(activeLeafId);
+        if (parent) parent.lastChild = item.id;
+        threadTurns.push(item);
+        activeLeafId = item.id;
         history.push(item);
-        if (history.length > maxHistoryItems) history = history.slice(-maxHistoryItems);
+        trimStoredTurns();
+        updateContextMeter();
+        updateExportButton();
+        return item;
       }
 
       function getHistoryForSend() {
-        if (!history.length) return [];
-        return history.slice(-Math.max(0, sendHistoryItems));
+        return planHistoryWindow(history).recent.map((h) => ({ role: h.role, content: h.content }));
       }
 
-      function clearComposer(opts) {
-        opts = opts || {};
-        composerWorkingSnapshot = null;
-        clearComposerWorkingUi();
-        if ($input) {
-            $input.value = "";
-            // Auto-grow: return to baseline height when reset clears the composer
-            try { resetAutoGrowTextarea($input); } catch (_) {}
-            try { updateSendEnabled(); } catch (_) {}
-   }
+      // ==========================================================
+      // History window (token budget) + summary of older turns
+      // ----------------------------------------------------------
+      // - `history` keeps the active path, up to maxHistoryItems turns. Turns
+      //   trimmed off the front are folded into the summary first.
+      // - The newest turns go out verbatim until historyTokenBudget (estimated
+      //   at ~4 chars per token) or sendHistoryItems is reached. The newest turn
+      //   always goes, however large.
+      // - Older turns travel as `history_summary`. After each reply the shell asks
+      //   POST /history/summarize to fold the turns that left the window into the
+      //   previous summary. Until that lands (or if the Worker has no such route)
+      //   a clipped digest of those turns stands in.
+      // - The meter under the composer shows what the next send carries.
+      // ==========================================================
+      // { text, throughId } — covers the active path up to throughId. throughId null:
+      // covers only turns trimmed off the front of the path (trimStoredTurns).
+      let historySummary = null;
+      let historySummaryInFlight = false;
+      const HISTORY_SUMMARY_BATCH = 6;
+      let historySummaryUnsupported = false;
+      let $contextMeter = null;
+
+      function estimateTokens(text) {
+        return Math.ceil(String(text || "").length / 4);
+      }
 
-        if ($input && opts.keepFocus) {
-          try { $input.focus(); } catch (_) {}
+      function digestTurns(turns) {
+        // A quarter of the budget, in characters (budget tokens * 4 chars * 0.25).
+        const maxChars = historyTokenBudget;
+        const perTurn = Math.max(80, Math.floor(maxChars / Math.max(1, turns.length)));
+        const out = turns.map((t) => {
+          const text = String(t.content || "").replace(/\s+/g, " ").trim();
+          const clipped = text.length > perTurn ? text.slice(0, perTurn - 1).trim() + "…" : text;
+          return (t.role === "user" ? "User: " : "Assistant: ") + clipped;
+        }).join("\n");
+        // Over the cap: keep the most recent part.
+        return out.length > maxChars ? "…" + out.slice(-(maxChars - 1)) : out;
+      }
+
+      function summarizeOlderTurns(older) {
+        const idx = historySummary ? older.findIndex((t) => t.id === historySummary.throughId) : -1;
+        const rest = idx === -1 ? older : older.slice(idx + 1);
+        const parts = [];
+        if (idx !== -1 || hasHeadSummary()) parts.push(historySummary.text);
+        if (rest.length) parts.push(digestTurns(rest));
+        return parts.join("\n\n");
+      }
+
+      function hasHeadSummary() {
+        return !!historySummary && historySummary.throughId === null;
+      }
+
+      function trimStoredTurns() {
+        const path = getThreadPath();
+        if (!(maxHistoryItems > 0) || path.length <= maxHistoryItems) return;
+        const dropped = path.slice(0, path.length - maxHistoryItems);
+        const first = path[dropped.length];
+        const covered = historySummary ? path.findIndex((t) => t.id === historySummary.throughId) : -1;
+        if (covered < dropped.length) {
+          // Every trim appends to the same text; keep it to half the token budget.
+          const text = summarizeOlderTurns(dropped);
+          const maxChars = historyTokenBudget * 2;
+          historySummary = { text: text.length > maxChars ? "…" + text.slice(-(maxChars - 1)) : text, throughId: null };
         }
+        // Keep `first` and everything below it (forks included); drop the rest.
+        const keep = {};
+        keep[first.id] = true;
+        threadTurns = threadTurns.filter((t) => {
+          if (t === first || (t.parent && keep[t.parent])) {
+            keep[t.id] = true;
+            return true;
+          }
+          return false;
+        });
+        first.parent = null;
+        history = path.slice(dropped.length);
       }
 
-      function ensureComposerBusyMessage() {
+      function planHistoryWindow(turns) {
+        const list = Array.isArray(turns) ? turns : [];
+        if (sendHistoryItems <= 0) return { recent: [], older: [], summary: "", tokens: 0 };
+
+        const recent = [];
+        let tokens = 0;
+        for (let i = list.length - 1; i >= 0 && recent.length < sendHistoryItems; i--) {
+          const cost = estimateTokens(list[i].content);
+          if (recent.length && tokens + cost > historyTokenBudget) break;
+          recent.unshift(list[i]);
+          tokens += cost;
+        }
+        const older = list.slice(0, list.length - recent.length);
+        const summary = older.length || hasHeadSummary() ? summarizeOlderTurns(older) : "";
+        return { recent: recent, older: older, summary: summary, tokens: tokens + estimateTokens(summary) };
+      }
+
+      function attachHistorySummary(payload, turns) {
+        const summary = planHistoryWindow(turns || history).summary;
+        if (summary) payload.history_summary = summary;
+        return payload;
+      }
+
+      // Background: never blocks a send. One request at a time; the next reply retries.
+      function scheduleHistorySummary() {
+        if (!summarizeHistory || historySummaryUnsupported || historySummaryInFlight || !apiEndpoint) return;
+        const older = planHistoryWindow(history).older;
+        if (!older.length) return;
+        const through = older[older.length - 1];
+        if (historySummary && historySummary.throughId === through.id) return;
+
+        const idx = historySummary ? older.findIndex((t) => t.id === historySummary.throughId) : -1;
+        const fresh = idx === -1 ? older : older.slice(idx + 1);
+        // Each call is a metered model request: wait until a batch of turns has
+        // left the window (the local digest covers them meanwhile).
+        if (fresh.length < HISTORY_SUMMARY_BATCH) return;
+        const url = apiEndpoint.replace(/\/+$/, "") + "/history/summarize";
+        historySummaryInFlight = true;
+
+        postJSON(url, {
+          tool: toolId,
+          previous_summary: idx !== -1 || hasHeadSummary() ? historySummary.text : "",
+          history: fresh.map((h) => ({ role: h.role, content: h.content }))
+        }, getCSRFTokenFromMeta())
+          .then((data) => {
+            const text = safeText(data && data.summary);
+            if (text && getThreadPath().indexOf(through) !== -1) historySummary = { text: text, throughId: through.id };
+          })
+          .catch((err) => {
+            if (err && (err.status === 404 || err.status === 405)) historySummaryUnsupported = true;
+          })
+          .then(() => {
+            historySummaryInFlight = false;
+            updateContextMeter();
+          });
+      }
+
+      function formatTokenCount(n) {
+        return n >= 1000 ? (Math.round(n / 100) / 10) + "k" : String(n);
+      }
+
+      function updateContextMeter() {
         try {
-          if (!composerWorkingEnabled) return null;
-          if (!$input || (!$composerStatusMountParent && !$composerMain)) return null;
-          if (!$composerBusyMessage) {
-            const node = document.createElement("div");
-            node.className = "paw-composer-status";
-            node.setAttribute("aria-live", "polite");
-            node.setAttribute("role", "status");
-            node.hidden = true;
-            const iconWrap = document.createElement("span");
-            iconWrap.className = "paw-composer-status__icon";
-            iconWrap.setAttribute("aria-hidden", "true");
-            const icon = document.createElement("img");
-            icon.src = "/assets/paw-fetch-dog.png";
-            icon.alt = "";
-            icon.loading = "eager";
-            icon.decoding = "async";
-            iconWrap.appendChild(icon);
-            const label = document.createElement("span");
-            label.className = "paw-composer-status__label";
-            node.appendChild(iconWrap);
-            node.appendChild(label);
-            $composerBusyMessage = node;
-            $composerBusyMessageLabel = label;
+          if (!showContextMeter || !$composer || !$composer.parentNode) return;
+          if (!$contextMeter) {
+            $contextMeter = document.createElement("div");
+            $contextMeter.className = "paw-context-meter";
+            $contextMeter.hidden = true;
+            $contextMeter.innerHTML =
+              '<span class="paw-context-meter__bar" aria-hidden="true"><span class="paw-context-meter__fill"></span></span>' +
+              '<span class="paw-context-meter__label"></span>';
+            $composer.parentNode.insertBefore($contextMeter, $composer.nextSibling);
           }
-          if ($composerStatusMountParent && $composerStatusMountBefore) {
-            if (
-              $composerBusyMessage.parentNode !== $composerStatusMountParent ||
-              $composerBusyMessage.nextSibling !== $composerStatusMountBefore
-            ) {
-              $composerStatusMountParent.insertBefore($composerBusyMessage, $composerStatusMountBefore);
-            }
-          } else if ($composerMain) {
-            if (
-              $composerBusyMessage.parentNode !== $composerMain ||
-              $composerBusyMessage !== $composerMain.firstChild
-            ) {
-              if ($composerMain.firstChild) $composerMain.insertBefore($composerBusyMessage, $composerMain.firstChild);
-              else $composerMain.appendChild($composerBusyMessage);
-            }
+
+          const wasHidden = $contextMeter.hidden;
+          if (!history.length) {
+            $contextMeter.hidden = true;
+            if (!wasHidden) requestHeightUpdate();
+            return;
           }
-          return $composerBusyMessage;
-        } catch (_) {
-          return null;
+
+          const plan = planHistoryWindow(history);
+          const tokens = plan.tokens + estimateTokens($input ? $input.value : "");
+          const pct = Math.min(100, Math.round((tokens / historyTokenBudget) * 100));
+          const label =
+            "Context ~" + formatTokenCount(tokens) + " tokens · " +
+            plan.recent.length + (plan.recent.length === 1 ? " recent turn" : " recent turns") +
+            (plan.older.length ? " + summary of " + plan.older.length + " earlier" : "");
+
+          $contextMeter.querySelector(".paw-context-meter__label").textContent = label;
+          $contextMeter.querySelector(".paw-context-meter__fill").style.width = pct + "%";
+          $contextMeter.setAttribute("data-level", pct >= 100 ? "full" : pct >= 80 ? "high" : "ok");
+          $contextMeter.title = "Estimated size of the conversation sent with your next message (budget ~" +
+            formatTokenCount(historyTokenBudget) + " tokens). Older turns are summarized, not dropped.";
+          $contextMeter.hidden = false;
+          if (wasHidden) requestHeightUpdate();
+        } catch (_) {}
+      }
+
+      if ($input) $input.addEventListener("input", updateContextMeter);
+
+      // ==========================================================
+      // Conversation branches (edit + resend)
+      // ----------------------------------------------------------
+      // - Every turn pushHistory() records is a node { id, parent, role, content }
+      //   in threadTurns. `history` is the active path (root -> activeLeafId).
+      // - Editing a user bubble forks at that turn's parent: the edited prompt is
+      //   sent as a sibling and the old branch stays in threadTurns. A ‹ 1/2 ›
+      //   switcher under the bubble flips between siblings.
+      // - Only user/assistant turns are tracked. Error bubbles and tool-rendered
+      //   replies (onResponse skipDefault) are not part of any branch.
+      // - getState()/setState() carry the whole tree as `branches` once a fork exists.
+      // ==========================================================
+      function findTurn(id) {
+        if (!id) return null;
+        for (let i = 0; i < threadTurns.length; i++) {
+          if (threadTurns[i].id === id) return threadTurns[i];
+        }
+        return null;
+      }
+
+      function turnChildren(parentId) {
+        return threadTurns.filter((t) => t.parent === parentId);
+      }
+
+      function getThreadPath() {
+        const path = [];
+        const seen = {};
+        let node = findTurn(activeLeafId);
+        while (node && !seen[node.id]) {
+          seen[node.id] = true;
+          path.unshift(node);
+          node = findTurn(node.parent);
+        }
+        return path;
+      }
+
+      // Follows the branch the user last had open below `turn` (newest otherwise).
+      function descendToLeaf(turn) {
+        let node = turn;
+        const seen = {};
+        while (node && !seen[node.id]) {
+          seen[node.id] = true;
+          const kids = turnChildren(node.id);
+          if (!kids.length) break;
+          node = kids.find((k) => k.id === node.lastChild) || kids[kids.length - 1];
+        }
+        return node;
+      }
+
+      function hasThreadBranches() {
+        return (
+          threadTurns.length > getThreadPath().length ||
+          threadTurns.some((t) => t.alternatives && t.alternatives.length > 1)
+        );
+      }
+
+      // Turns getState() exports, at most maxTurns of them (0 = all): the newest
+      // part of the active path first, then forks hanging off it in creation
+      // order. A turn whose parent was dropped becomes a root when read back.
+      function keptBranchTurns(maxTurns) {
+        if (!(maxTurns > 0) || threadTurns.length <= maxTurns) return threadTurns.slice();
+        const fullPath = getThreadPath();
+        const path = fullPath.slice(-maxTurns);
+        const keep = {};
+        path.forEach((t) => { keep[t.id] = true; });
+        const keepRoots = path.length === fullPath.length;
+        let room = maxTurns - path.length;
+        threadTurns.forEach((t) => {
+          if (room <= 0 || keep[t.id]) return;
+          if (t.parent ? keep[t.parent] : keepRoots) {
+            keep[t.id] = true;
+            room -= 1;
+          }
+        });
+        return threadTurns.filter((t) => keep[t.id]);
+      }
+
+      function readThreadBranches(raw) {
+        if (!raw || typeof raw !== "object" || !Array.isArray(raw.turns)) return null;
+        const ids = {};
+        const turns = [];
+        raw.turns.forEach((t) => {
+          if (!t || typeof t.id !== "string" || !t.id || ids[t.id]) return;
+          if (t.role !== "user" && t.role !== "assistant") return;
+          ids[t.id] = true;
+          const node = {
+            id: t.id,
+            parent: typeof t.parent === "string" && t.parent ? t.parent : null,
+            role: t.role,
+            content: String(t.content || "")
+          };
+          const alts = t.role === "assistant" && Array.isArray(t.alternatives)
+            ? t.alternatives.filter((a) => typeof a === "string")
+            : [];
+          if (alts.length > 1) {
+            const chosen = Number(t.alt);
+            node.alternatives = alts.map((a) => ({ content: a, deliverable: null }));
+            node.altChosen = chosen >= 0 && chosen < alts.length ? chosen : 0;
+            node.altShown = node.altChosen;
+            node.content = alts[node.altChosen];
+          }
+          turns.push(node);
+        });
+        if (!turns.length) return null;
+        turns.forEach((t) => {
+          if (t.parent && !ids[t.parent]) t.parent = null;
+        });
+        let seq = 0;
+        turns.forEach((t) => {
+          const n = parseInt(String(t.id).replace(/^\D+/, ""), 10);
+          if (n > seq) seq = n;
+        });
+        return {
+          turns: turns,
+          leaf: typeof raw.leaf === "string" && ids[raw.leaf] ? raw.leaf : turns[turns.length - 1].id,
+          seq: seq
+        };
+      }
+
+      // Rebuilds the thread DOM (and `history`) from the active path.
+      function renderThreadMessages() {
+        const path = getThreadPath();
+        path.forEach((t, i) => {
+          if (i > 0) path[i - 1].lastChild = t.id;
+        });
+        history = path;
+        updateContextMeter();
+        updateExportButton();
+        if (!$messages) return path;
+        $messages.innerHTML = "";
+        path.forEach((t) => {
+          const wrap = appendMessage($messages, t.role === "user" ? "user" : "assistant", t.content);
+          if (t.role === "user") {
+            attachTurnControls(wrap, t);
+          } else {
+            wrap.__pawTurn = t;
+            t.altShown = t.altChosen || 0;
+          }
+        });
+        requestHeightUpdate();
+        return path;
+      }
+
+      // Copy / reopen / save-to-Works follow the branch on screen.
+      function syncDeliverableToThread(path) {
+        const last = path && path.length ? path[path.length - 1] : null;
+        if (last && last.role === "assistant" && !last.deliverable) {
+          last.deliverable = last.alternatives && last.alternatives[last.altChosen || 0]
+            ? altDeliverable(last.alternatives[last.altChosen || 0])
+            : buildDeliverableModalState(getDeliverableTitle(), last.content, null);
+        }
+        lastDeliverableState = last && last.role === "assistant" ? last.deliverable : null;
+        try {
+          _setWorksCreateContext({ summary: lastDeliverableState ? _extractCreateSummary(lastDeliverableState) : "" });
+        } catch (_) {}
+      }
+
+      function switchThreadBranch(turn, step) {
+        if (isSending || !turn) return;
+        const siblings = turnChildren(turn.parent).filter((t) => t.role === "user");
+        const target = siblings[siblings.indexOf(turn) + step];
+        if (!target) return;
+        const leaf = descendToLeaf(target);
+        activeLeafId = leaf ? leaf.id : target.id;
+        syncDeliverableToThread(renderThreadMessages());
+      }
+
+      function attachTurnControls(wrap, turn) {
+        try {
+          if (!wrap || !turn || turn.role !== "user" || !wrap.parentNode) return;
+
+          let block = wrap.closest ? wrap.closest(".paw-turn-block") : null;
+          if (!block) {
+            block = document.createElement("div");
+            block.className = "paw-turn-block";
+            wrap.parentNode.insertBefore(block, wrap);
+            block.appendChild(wrap);
+          }
+          let row = block.querySelector(".paw-turn-row");
+          if (!row) {
+            row = document.createElement("div");
+            row.className = "paw-turn-row";
+            block.appendChild(row);
+          }
+          row.innerHTML = "";
+          row.hidden = false;
+
+          const siblings = turnChildren(turn.parent).filter((t) => t.role === "user");
+          if (siblings.length > 1) {
+            const idx = siblings.indexOf(turn);
+            const nav = document.createElement("span");
+            nav.className = "paw-branch-nav";
+            nav.innerHTML =
+              '<button type="button" class="paw-branch-nav__btn" data-step="-1" aria-label="Previous version">‹</button>' +
+              '<span class="paw-branch-nav__label">' + (idx + 1) + " / " + siblings.length + "</span>" +
+              '<button type="button" class="paw-branch-nav__btn" data-step="1" aria-label="Next version">›</button>';
+            nav.querySelectorAll("button").forEach((btn) => {
+              const step = Number(btn.getAttribute("data-step"));
+              btn.disabled = !siblings[idx + step];
+              btn.addEventListener("click", function () {
+                switchThreadBranch(turn, step);
+              });
+            });
+            row.appendChild(nav);
+          }
+
+          const edit = document.createElement("a");
+          edit.href = "#";
+          edit.className = "paw-inline-copy-link paw-turn-edit";
+          edit.textContent = "Edit";
+          edit.addEventListener("click", function (e) {
+            try { e.preventDefault(); } catch (_) {}
+            beginTurnEdit(wrap, turn);
+          });
+          row.appendChild(edit);
+        } catch (_) {}
+      }
+
+      function beginTurnEdit(wrap, turn) {
+        try {
+          if (isSending) {
+            showToast("Wait for the current reply to finish.");
+            return;
+          }
+          const bubble = wrap ? wrap.querySelector(".bubble") : null;
+          if (!bubble || bubble.querySelector(".paw-turn-editor")) return;
+
+          const block = wrap.closest ? wrap.closest(".paw-turn-block") : null;
+          const row = block ? block.querySelector(".paw-turn-row") : null;
+          if (row) row.hidden = true;
+
+          bubble.innerHTML =
+            '<textarea class="paw-turn-editor" aria-label="Edit message"></textarea>' +
+            '<div class="paw-turn-editor__actions">' +
+            '  <button type="button" class="btn" data-action="cancel">Cancel</button>' +
+            '  <button type="button" class="btn primary" data-action="send">Send</button>' +
+            "</div>";
+          const ta = bubble.querySelector("textarea");
+          ta.value = turn.content;
+
+          const close = function () {
+            bubble.innerHTML = "<p>" + escapeHtml(turn.content) + "</p>";
+            if (row) row.hidden = false;
+            requestHeightUpdate();
+          };
+          const submit = function () {
+            const next = safeText(ta.value);
+            if (!next) return;
+            resendEditedTurn(turn, next);
+          };
+
+          bubble.querySelector('[data-action="cancel"]').addEventListener("click", close);
+          bubble.querySelector('[data-action="send"]').addEventListener("click", submit);
+          ta.addEventListener("input", function () { autoGrowTextarea(ta); });
+          ta.addEventListener("keydown", function (e) {
+            if (e.key === "Escape") {
+              e.preventDefault();
+              close();
+            } else if (e.key === "Enter" && !e.shiftKey && !e.isComposing) {
+              e.preventDefault();
+              submit();
+            }
+          });
+
+          autoGrowTextarea(ta);
+          ta.focus();
+          try { ta.setSelectionRange(ta.value.length, ta.value.length); } catch (_) {}
+          requestHeightUpdate();
+        } catch (_) {}
+      }
+
+      // Truncates the visible thread at the edited turn and sends the new prompt
+      // as its sibling. The composer (and any draft in it) is left alone.
+      async function resendEditedTurn(turn, text) {
+        if (isSending || !turn) return;
+        const previousLeafId = activeLeafId;
+        activeLeafId = turn.parent;
+        renderThreadMessages();
+
+        await sendExtra(text, {}, { composerWorking: false });
+
+        // Stopped before anything landed: put the user back on the branch they had.
+        if (activeLeafId === turn.parent) {
+          activeLeafId = previousLeafId;
+          syncDeliverableToThread(renderThreadMessages());
+        }
+      }
+
+      // ==========================================================
+      // Reply alternatives (Regenerate)
+      // ----------------------------------------------------------
+      // - Regenerate re-sends the latest prompt with the same history and stores
+      //   each result on that assistant turn: turn.alternatives[{ content, deliverable }].
+      // - altShown is what the bubble / modal display; altChosen is what sits in
+      //   `history` and lastDeliverableState. Flipping versions never changes
+      //   what the next send sees until the user picks one ("Use this version").
+      // - The deliverable modal can show two versions side by side (Compare).
+      // - Controls only live on the latest AI reply of the active branch.
+      // ==========================================================
+      const MAX_REPLY_ALTERNATIVES = 5;
+
+      function altDeliverable(alt) {
+        if (!alt) return null;
+        if (!alt.deliverable) alt.deliverable = buildDeliverableModalState(getDeliverableTitle(), alt.content, null);
+        return alt.deliverable;
+      }
+
+      function ensureReplyAlternatives(turn) {
+        if (!turn.alternatives || !turn.alternatives.length) {
+          turn.alternatives = [{ content: turn.content, deliverable: turn.deliverable || null }];
+          turn.altChosen = 0;
+          turn.altShown = 0;
+        }
+        return turn.alternatives;
+      }
+
+      function getLatestReplyTurn() {
+        const path = getThreadPath();
+        const last = path[path.length - 1];
+        return last && last.role === "assistant" ? last : null;
+      }
+
+      function findReplyWrap(turn) {
+        if (!$messages || !turn) return null;
+        const wraps = $messages.querySelectorAll(".msg.ai");
+        for (let i = wraps.length - 1; i >= 0; i--) {
+          if (wraps[i].__pawTurn === turn) return wraps[i];
+        }
+        return null;
+      }
+
+      function refreshReplyControls(turn) {
+        const wrap = findReplyWrap(turn || getLatestReplyTurn());
+        const bubble = wrap ? wrap.querySelector(".bubble") : null;
+        if (bubble) {
+          ensureReplyControls(bubble, true);
+          ensureLimitBadge(bubble, true);
+        }
+      }
+
+      function ensureReplyControls(bubble, isLast) {
+        try {
+          const wrap = bubble && bubble.closest ? bubble.closest(".msg") : null;
+          const block = wrap && wrap.closest ? wrap.closest(".paw-message-block") : null;
+          const row = block ? block.querySelector(".paw-report-row") : null;
+          if (!row) return;
+
+          const existing = row.querySelector(".paw-reply-controls");
+          const turn = wrap.__pawTurn || null;
+          if (!turn || !isLast || getLatestReplyTurn() !== turn) {
+            if (existing) removeNode(existing);
+            return;
+          }
+
+          const alts = turn.alternatives || [];
+          const shown = turn.altShown || 0;
+          const chosen = turn.altChosen || 0;
+          // The observer re-runs this on every thread mutation; only rebuild on change.
+          const key = [turn.id, alts.length, shown, chosen, isSending ? 1 : 0].join(":");
+          if (existing && existing.__pawKey === key) return;
+
+          const controls = document.createElement("span");
+          controls.className = "paw-reply-controls";
+          controls.__pawKey = key;
+
+          if (alts.length > 1) {
+            const nav = document.createElement("span");
+            nav.className = "paw-branch-nav";
+            nav.innerHTML =
+              '<button type="button" class="paw-branch-nav__btn" data-step="-1" aria-label="Previous version">‹</button>' +
+              '<span class="paw-branch-nav__label">' + (shown + 1) + " of " + alts.length + "</span>" +
+              '<button type="button" class="paw-branch-nav__btn" data-step="1" aria-label="Next version">›</button>';
+            nav.querySelectorAll("button").forEach((btn) => {
+              const step = Number(btn.getAttribute("data-step"));
+              btn.disabled = !alts[shown + step];
+              btn.addEventListener("click", function () {
+                showReplyAlternative(turn, shown + step);
+              });
+            });
+            controls.appendChild(nav);
+          }
+
+          const addLink = function (label, onClick, disabled) {
+            const a = document.createElement("a");
+            a.href = "#";
+            // Not paw-inline-copy-link: that class marks the row's Copy link.
+            a.className = "paw-row-link";
+            a.textContent = label;
+            if (disabled) a.setAttribute("aria-disabled", "true");
+            a.addEventListener("click", function (e) {
+              try { e.preventDefault(); } catch (_) {}
+              if (a.getAttribute("aria-disabled") === "true") return;
+              onClick();
+            });
+            controls.appendChild(a);
+          };
+
+          if (alts.length > 1 && shown !== chosen) {
+            addLink("Use this version", function () { chooseReplyAlternative(turn, shown); });
+          }
+          if (alts.length > 1) {
+            addLink("Compare", function () {
+              showDeliverableModal(altDeliverable(alts[shown]), {
+                compareWith: shown === chosen ? (shown === 0 ? 1 : shown - 1) : chosen
+              });
+            });
+          }
+          addLink(
+            isSending ? "Regenerating…" : "Regenerate",
+            regenerateLatestReply,
+            isSending || alts.length >= MAX_REPLY_ALTERNATIVES
+          );
+
+          if (existing) row.replaceChild(controls, existing);
+          else row.insertBefore(controls, row.firstChild);
+        } catch (_) {}
+      }
+
+      function showReplyAlternative(turn, idx) {
+        const alts = turn && turn.alternatives;
+        if (!alts || !alts[idx]) return;
+        turn.altShown = idx;
+
+        const wrap = findReplyWrap(turn);
+        const bubble = wrap ? wrap.querySelector(".bubble") : null;
+        if (bubble) bubble.innerHTML = PAWMarkdown.toHtml(alts[idx].content);
+        refreshReplyControls(turn);
+
+        const modal = document.getElementById("pawDeliverableModal");
+        if (modal && modal.classList.contains("show") && modal.__pawAltTurn === turn) {
+          showDeliverableModal(altDeliverable(alts[idx]), { keepCompare: true });
+        }
+        requestHeightUpdate();
+      }
+
+      function chooseReplyAlternative(turn, idx) {
+        const alts = turn && turn.alternatives;
+        if (!alts || !alts[idx]) return;
+        turn.altChosen = idx;
+        turn.content = alts[idx].content;
+        turn.deliverable = altDeliverable(alts[idx]);
+
+        if (getLatestReplyTurn() === turn) {
+          lastDeliverableState = turn.deliverable;
+          try { _setWorksCreateContext({ summary: _extractCreateSummary(lastDeliverableState) }); } catch (_) {}
+        }
+
+        const modal = document.getElementById("pawDeliverableModal");
+        if (modal) modal.__pawCompareWith = null;
+        showReplyAlternative(turn, idx);
+        showToast("Using version " + (idx + 1));
+      }
+
+      async function regenerateLatestReply() {
+        if (isSending) return;
+        const path = getThreadPath();
+        const aiTurn = path[path.length - 1];
+        const userTurn = path[path.length - 2];
+        if (!aiTurn || aiTurn.role !== "assistant" || !userTurn || userTurn.role !== "user") return;
+        if (!apiEndpoint) return;
+
+        const alts = ensureReplyAlternatives(aiTurn);
+        if (alts.length >= MAX_REPLY_ALTERNATIVES) {
+          showToast("You can keep up to " + MAX_REPLY_ALTERNATIVES + " versions.");
+          return;
+        }
+
+        isSending = true;
+        const requestController = beginAbortableRequest();
+        pawSetBusy(true);
+        showWorkingBar("Writing another version…");
+        refreshReplyControls(aiTurn);
+        await nextPaint();
+
+        try {
+          const prefs = getPrefs ? getPrefs() : {};
+          const extra = aiTurn.requestExtra || (getExtraPayload ? getExtraPayload(userTurn.content) : {});
+          const sentHistory = planHistoryWindow(path.slice(0, -1)).recent
+            .map((h) => ({ role: h.role, content: h.content }));
+          const payload = buildPayloadBase(toolId, sentHistory, prefs, extra);
+          attachHistorySummary(payload, path.slice(0, -1));
+          payload.message = userTurn.content;
+
+          const { data, skipped } = await requestReply(payload, requestController);
+          if (skipped) return;
+          const reply = safeText(data && data.reply);
+          if (!reply) {
+            showToast("Couldn’t get another version. Try again.");
+            return;
+          }
+
+          const deliverableMeta = getDeliverableMeta ? getDeliverableMeta(reply, data) : null;
+          alts.push({
+            content: reply,
+            deliverable: buildDeliverableModalState(getDeliverableTitle(), reply, { deliverableMeta: deliverableMeta })
+          });
+          const idx = alts.length - 1;
+          const base = revisionBases.get(altDeliverable(alts[0]));
+          if (base) revisionBases.set(alts[idx].deliverable, base);
+          recordSessionDeliverable(alts[idx].deliverable);
+          showReplyAlternative(aiTurn, idx);
+
+          const shouldOpenModal = deliverableMode && (!deliverableMeta || deliverableMeta.openModal !== false);
+          if (shouldOpenModal) showDeliverableModal(altDeliverable(alts[idx]), { compareWith: aiTurn.altChosen || 0 });
+        } catch (err) {
+          if (isAbortError(err) || (requestController && requestController.signal.aborted)) {
+            try { showToast("Stopped."); } catch (_) {}
+          } else {
+            showToast(formatAssistantErrorText(err));
+          }
+        } finally {
+          isSending = false;
+          endAbortableRequest(requestController);
+          pawSetBusy(false);
+          hideWorkingBar();
+          refreshReplyControls(aiTurn);
+        }
+      }
+
+      // Fills the version bar + Compare view of the deliverable modal.
+      function renderDeliverableAlternatives(modal) {
+        const bar = modal.querySelector(".paw-deliverable-alts");
+        const compare = modal.querySelector(".paw-deliverable-compare");
+        const turn = modal.__pawAltTurn;
+        const alts = turn && turn.alternatives ? turn.alternatives : [];
+        const shown = turn ? turn.altShown || 0 : 0;
+        const chosen = turn ? turn.altChosen || 0 : 0;
+        const other = modal.__pawCompareWith;
+        const comparing = alts.length > 1 && typeof other === "number" && other !== shown && !!alts[other];
+
+        if (bar) {
+          bar.hidden = alts.length < 2;
+          const label = bar.querySelector(".paw-branch-nav__label");
+          if (label) label.textContent = "Version " + (shown + 1) + " of " + alts.length + (shown === chosen ? " · in use" : "");
+          bar.querySelectorAll('[data-action="alt-step"]').forEach((btn) => {
+            btn.disabled = !alts[shown + Number(btn.getAttribute("data-step"))];
+          });
+          const useBtn = bar.querySelector('[data-action="alt-use"]');
+          if (useBtn) useBtn.hidden = shown === chosen;
+          const compareBtn = bar.querySelector('[data-action="alt-compare"]');
+          if (compareBtn) compareBtn.textContent = comparing ? "Close compare" : "Compare";
+        }
+        if (!compare) return;
+
+        compare.hidden = !comparing;
+        if (!comparing) {
+          compare.innerHTML = "";
+          return;
+        }
+        modal.querySelectorAll("[data-deliverable-variant]").forEach((el) => { el.style.display = "none"; });
+
+        const column = function (idx, canStep) {
+          const d = altDeliverable(alts[idx]) || {};
+          const inUse = idx === chosen;
+          const body = d.variant === "email"
+            ? '<div class="paw-compare-subject">' + escapeHtml(d.subject) + '</div><div class="paw-compare-email">' + escapeHtml(d.body) + "</div>"
+            : PAWMarkdown.toHtml(d.text);
+          const step = function (dir, glyph, label) {
+            return canStep
+              ? '<button type="button" class="paw-branch-nav__btn" data-action="compare-step" data-step="' + dir + '" aria-label="' + label + '">' + glyph + "</button>"
+              : "";
+          };
+          return (
+            '<div class="paw-compare-col">' +
+            '  <div class="paw-compare-head">' +
+            '    <span class="paw-branch-nav">' + step(-1, "‹", "Previous version") +
+            '<span class="paw-branch-nav__label">Version ' + (idx + 1) + "</span>" + step(1, "›", "Next version") + "</span>" +
+            (inUse ? '<span class="paw-compare-badge">In use</span>' : "") +
+            "  </div>" +
+            '  <div class="paw-compare-body paw-md">' + body + "</div>" +
+            '  <div class="paw-compare-actions">' +
+            '    <button class="btn' + (inUse ? "" : " primary") + '" type="button" data-action="alt-use" data-alt="' + idx + '"' + (inUse ? " disabled" : "") + ">" +
+            (inUse ? "In use" : "Use this one") + "</button>" +
+            "  </div>" +
+            "</div>"
+          );
+        };
+        compare.innerHTML = column(shown, false) + column(other, alts.length > 2);
+      }
+
+      // Delegated from the deliverable modal's click handler. Returns true when handled.
+      function handleDeliverableAltAction(modal, action, target) {
+        const turn = modal.__pawAltTurn;
+        const alts = turn && turn.alternatives ? turn.alternatives : null;
+        if (!alts) return false;
+        const shown = turn.altShown || 0;
+
+        if (action === "alt-step") {
+          showReplyAlternative(turn, shown + Number(target.getAttribute("data-step")));
+          return true;
+        }
+        if (action === "alt-use") {
+          const idx = target.hasAttribute("data-alt") ? Number(target.getAttribute("data-alt")) : shown;
+          chooseReplyAlternative(turn, idx);
+          return true;
+        }
+        if (action === "alt-compare") {
+          const compareEl = modal.querySelector(".paw-deliverable-compare");
+          modal.__pawCompareWith = compareEl && !compareEl.hidden
+            ? null
+            : (shown === (turn.altChosen || 0) ? (shown === 0 ? 1 : shown - 1) : (turn.altChosen || 0));
+          showDeliverableModal(altDeliverable(alts[shown]), { keepCompare: true });
+          return true;
+        }
+        if (action === "compare-step") {
+          const n = alts.length;
+          let next = typeof modal.__pawCompareWith === "number" ? modal.__pawCompareWith : shown;
+          do {
+            next = (next + Number(target.getAttribute("data-step")) + n) % n;
+          } while (next === shown);
+          modal.__pawCompareWith = next;
+          renderDeliverableAlternatives(modal);
+          return true;
+        }
+        return false;
+      }
+
+      function clearComposer(opts) {
+        opts = opts || {};
+        composerWorkingSnapshot = null;
+        clearComposerWorkingUi();
+        if ($input) {
+            $input.value = "";
+            // Auto-grow: return to baseline height when reset clears the composer
+            try { resetAutoGrowTextarea($input); } catch (_) {}
+            try { updateSendEnabled(); } catch (_) {}
+   }
+
+        if ($input && opts.keepFocus) {
+          try { $input.focus(); } catch (_) {}
+        }
+      }
+
+      function ensureComposerBusyMessage() {
+        try {
+          if (!composerWorkingEnabled) return null;
+          if (!$input || (!$composerStatusMountParent && !$composerMain)) return null;
+          if (!$composerBusyMessage) {
+            const node = document.createElement("div");
+            node.className = "paw-composer-status";
+            node.setAttribute("aria-live", "polite");
+            node.setAttribute("role", "status");
+            node.hidden = true;
+            const iconWrap = document.createElement("span");
+            iconWrap.className = "paw-composer-status__icon";
+            iconWrap.setAttribute("aria-hidden", "true");
+            const icon = document.createElement("img");
+            icon.src = "/assets/paw-fetch-dog.png";
+            icon.alt = "";
+            icon.loading = "eager";
+            icon.decoding = "async";
+            iconWrap.appendChild(icon);
+            const label = document.createElement("span");
+            label.className = "paw-composer-status__label";
+            node.appendChild(iconWrap);
+            node.appendChild(label);
+            $composerBusyMessage = node;
+            $composerBusyMessageLabel = label;
+          }
+          if ($composerStatusMountParent && $composerStatusMountBefore) {
+            if (
+              $composerBusyMessage.parentNode !== $composerStatusMountParent ||
+              $composerBusyMessage.nextSibling !== $composerStatusMountBefore
+            ) {
+              $composerStatusMountParent.insertBefore($composerBusyMessage, $composerStatusMountBefore);
+            }
+          } else if ($composerMain) {
+            if (
+              $composerBusyMessage.parentNode !== $composerMain ||
+              $composerBusyMessage !== $composerMain.firstChild
+            ) {
+              if ($composerMain.firstChild) $composerMain.insertBefore($composerBusyMessage, $composerMain.firstChild);
+              else $composerMain.appendChild($composerBusyMessage);
+            }
+          }
+          return $composerBusyMessage;
+        } catch (_) {
+          return null;
+        }
+      }
+
+      function setComposerBusyMessageVisible(on) {
+        try {
+          const node = ensureComposerBusyMessage();
+          if (!node) return;
+          if (on) {
+            if ($composerBusyMessageLabel) $composerBusyMessageLabel.textContent = composerWorkingMessage;
+            node.hidden = false;
+            return;
+          }
+          node.hidden = true;
+          if ($composerBusyMessageLabel) $composerBusyMessageLabel.textContent = "";
+        } catch (_) {}
+      }
+
+      function clearComposerWorkingUi() {
+        try {
+          if (!composerWorkingEnabled) return;
+          if ($input) {
+            $input.removeAttribute("readonly");
+            $input.removeAttribute("data-paw-working");
+          }
+          if ($composer) $composer.removeAttribute("data-paw-composer-working");
+          setComposerBusyMessageVisible(false);
+          try { updateSendEnabled(); } catch (_) {}
+          requestHeightUpdate();
+        } catch (_) {}
+      }
+
+      function beginComposerWorkingState(displayText) {
+        try {
+          if (!composerWorkingEnabled || !$input) return false;
+          const text = String(
+            typeof displayText === "string" ? displayText : ($input.value || "")
+          );
+          const rect = $input.getBoundingClientRect ? $input.getBoundingClientRect() : null;
+          const height =
+            $input.style.height ||
+            (rect && rect.height ? Math.max(0, Math.round(rect.height)) + "px" : "");
+          composerWorkingSnapshot = {
+            text: text,
+            scrollTop: $input.scrollTop || 0,
+            height: height,
+            overflowY: $input.style.overflowY || ""
+          };
+          $input.value = text;
+          if (height) $input.style.height = height;
+          $input.style.overflowY = composerWorkingSnapshot.overflowY;
+          $input.setAttribute("readonly", "");
+          $input.setAttribute("data-paw-working", "1");
+          if ($composer) $composer.setAttribute("data-paw-composer-working", "1");
+          setComposerBusyMessageVisible(true);
+          try { updateSendEnabled(); } catch (_) {}
+          try { $input.scrollTop = composerWorkingSnapshot.scrollTop; } catch (_) {}
+          requestAnimationFrame(function () {
+            try {
+              if ($input && composerWorkingSnapshot) $input.scrollTop = composerWorkingSnapshot.scrollTop;
+            } catch (_) {}
+          });
+          requestHeightUpdate();
+          return true;
+        } catch (_) {
+          return false;
+        }
+      }
+
+      function endComposerWorkingState(options) {
+        const opts = options && typeof options === "object" ? options : {};
+        const snapshot = composerWorkingSnapshot;
+        composerWorkingSnapshot = null;
+        clearComposerWorkingUi();
+        if (!$input) return;
+        if (opts.clear === true) {
+          clearComposer({ keepFocus: opts.keepFocus !== false });
+          return;
+        }
+        const restoreText =
+          typeof opts.text === "string"
+            ? opts.text
+            : snapshot && typeof snapshot.text === "string"
+              ? snapshot.text
+              : String($input.value || "");
+        $input.value = restoreText;
+        try { autoGrowTextarea($input); } catch (_) {}
+        if (snapshot && typeof snapshot.scrollTop === "number") {
+          try { $input.scrollTop = snapshot.scrollTop; } catch (_) {}
+        }
+        try { updateSendEnabled(); } catch (_) {}
+        if (opts.keepFocus) {
+          try { $input.focus(); } catch (_) {}
+        }
+        requestHeightUpdate();
+      }
+
+
+// ==========================================================
+// Auto-grow textarea (LOCKED)
+// ----------------------------------------------------------
+// Goal: ChatGPT-style expanding input across all tools.
+// Contract:
+// - CSS sets max-height and overflow-y:hidden by default.
+// - JS expands height to fit content until max-height, then enables scroll.
+// - Reset/clear returns textarea to its baseline height.
+// ==========================================================
+function autoGrowTextarea($ta){
+  try{
+    if(!$ta) return;
+    // Reset to auto so scrollHeight reflects true content height
+    $ta.style.height = "auto";
+
+    // Max height from computed styles (falls back to 320px via CSS var)
+    const cs = window.getComputedStyle($ta);
+    const maxH = parseFloat(cs.maxHeight || "0") || 320;
+
+    const next = Math.min($ta.scrollHeight, maxH);
+    $ta.style.height = next + "px";
+
+    // If we hit max height, allow scrolling within textarea
+    if ($ta.scrollHeight > maxH + 1){
+      $ta.style.overflowY = "auto";
+    } else {
+      $ta.style.overflowY = "hidden";
+    }
+    // Textarea height is a style change, not a DOM change; tell the height reporter.
+    requestHeightUpdate();
+  } catch(_){}
+}
+
+function resetAutoGrowTextarea($ta){
+  try{
+    if(!$ta) return;
+    $ta.style.height = "";
+    $ta.style.overflowY = "";
+    // Textarea height is a style change, not a DOM change; tell the height reporter.
+    requestHeightUpdate();
+  }catch(_){}
+}
+
+
+
+      function getPostUrl() {
+        // IMPORTANT FIX: Worker is at the root, NOT /api
+        return apiEndpoint.replace(/\/+$/, "");
+      }
+
+      async function postToWorker(payload, options) {
+        const token = getCSRFTokenFromMeta();
+        const url = getPostUrl();
+        const opts = Object.assign({}, options || {});
+        // Composer-working tools normally hide the bar; it only appears for the countdown.
+        opts.onRetry = function (info) {
+          showRetryCountdown(info, function () {
+            if (composerWorkingEnabled) hideWorkingBar();
+            else showWorkingBar("Working…");
+          });
+        };
+        return await postJSON(url, payload, token, opts);
+      }
+
+      // Live AI bubble used while a streamed reply is arriving.
+      // - Painted outside renderDeliverable so the deliverable modal, history and
+      //   lastDeliverableState only ever see the final text.
+      // - Marked .paw-streaming so the feedback-link observer skips it.
+      // - Paints are batched to one per frame; long replies can emit many deltas.
+      function beginStreamingReply() {
+        let wrap = null;
+        let para = null;
+        let pending = "";
+        let raf = 0;
+
+        function paint() {
+          raf = 0;
+          if (!$messages) return;
+          const stick = ($messages.scrollHeight - $messages.scrollTop - $messages.clientHeight) < 48;
+          if (!wrap) {
+            wrap = document.createElement("div");
+            wrap.className = "msg ai paw-streaming";
+            wrap.setAttribute("aria-live", "polite");
+            const bubble = document.createElement("div");
+            bubble.className = "bubble";
+            para = document.createElement("p");
+            bubble.appendChild(para);
+            wrap.appendChild(bubble);
+            $messages.appendChild(wrap);
+            try { hideWorkingBar(); } catch (_) {}
+          }
+          para.textContent = pending;
+          if (stick) $messages.scrollTop = $messages.scrollHeight;
+          requestHeightUpdate();
+        }
+
+        return {
+          onDelta: function (textSoFar) {
+            pending = String(textSoFar || "");
+            if (raf) return;
+            try { raf = requestAnimationFrame(paint); } catch (_) { paint(); }
+          },
+          discard: function () {
+            if (raf) {
+              try { cancelAnimationFrame(raf); } catch (_) {}
+              raf = 0;
+            }
+            removeNode(wrap);
+            wrap = null;
+            para = null;
+          }
+        };
+      }
+
+      // One Worker round trip shared by Send, sendExtra and Regenerate.
+      // - Streams into the live bubble when enabled; the bubble is always gone on return.
+      // - The tool's onResponse hook sees every reply first; skipDefault means the
+      //   tool rendered it itself, so the caller must not.
+      async function requestReply(payload, requestController) {
+        const streamingReply = streamReplies ? beginStreamingReply() : null;
+        let data;
+        try {
+          data = await postToWorker(payload, {
+            onDelta: streamingReply ? streamingReply.onDelta : null,
+            signal: requestController ? requestController.signal : null
+          });
+        } finally {
+          if (streamingReply) streamingReply.discard();
+        }
+
+        let skipped = false;
+        if (onResponse) {
+          try {
+            const r = onResponse(data);
+            skipped = !!(r && r.skipDefault);
+          } catch (_) {}
+        }
+        return { data: data, skipped: skipped };
+      }
+
+      
+      // ─────────────────────────────────────────────
+      // Revision diff (Revise → next deliverable)
+      // ─────────────────────────────────────────────
+      // Clicking Revise remembers the deliverable on screen; the next deliverable
+      // that arrives is linked to it, and the modal offers "Show changes".
+      // Regenerated versions of that reply share the same base.
+      // The base only lives for one request: sendMessage takes composerRevisionBase
+      // (armed by Revise), sendExtra takes options.revisionBase (chips, Trim to fit),
+      // and both drop it when the request ends, whether or not a deliverable came back.
+      let pendingRevisionBase = null;
+      let composerRevisionBase = null;
+      const revisionBases = new WeakMap();
+
+      function deliverablePlainText(state) {
+        if (!state) return "";
+        if (String(state.variant || "") === "email") {
+          return "Subject: " + String(state.subject || "") + "\n\n" + String(state.body || "");
+        }
+        return PAWMarkdown.toPlainText(state.text);
+      }
+
+      function renderDeliverableDiff(modal, state) {
+        const base = state ? revisionBases.get(state) || null : null;
+        const toggle = modal.querySelector('[data-action="toggle-diff"]');
+        const summary = modal.querySelector(".paw-deliverable-diff-summary");
+        if (toggle) {
+          toggle.hidden = !base;
+          toggle.textContent = modal.__pawDiffOn ? "Hide changes" : "Show changes";
+        }
+        if (!base || !modal.__pawDiffOn) {
+          if (summary) summary.hidden = true;
+          return;
+        }
+
+        const textWrap = modal.querySelector('[data-deliverable-variant="text"]');
+        const emailWrap = modal.querySelector('[data-deliverable-variant="email"]');
+        const bodyEl = textWrap ? textWrap.querySelector(".paw-deliverable-text") : null;
+        const subjectEl = modal.querySelector(".paw-deliverable-email-subject");
+        const emailBodyEl = modal.querySelector(".paw-deliverable-email-body");
+        let ops;
+
+        if (String(state.variant || "") === "email" && String(base.variant || "") === "email") {
+          const subjectOps = PAWDiff.words(base.subject, state.subject);
+          const bodyOps = PAWDiff.words(base.body, state.body);
+          if (subjectEl) subjectEl.innerHTML = PAWDiff.toHtml(subjectOps);
+          if (emailBodyEl) emailBodyEl.innerHTML = PAWDiff.toHtml(bodyOps);
+          ops = subjectOps.concat(bodyOps);
+        } else {
+          // Text, or the variant changed between versions: compare the whole thing as text.
+          ops = PAWDiff.words(deliverablePlainText(base), deliverablePlainText(state));
+          if (textWrap) textWrap.style.display = "";
+          if (emailWrap) emailWrap.style.display = "none";
+          if (bodyEl) bodyEl.innerHTML = '<div class="paw-diff">' + PAWDiff.toHtml(ops) + "</div>";
+        }
+
+        if (summary) {
+          const st = PAWDiff.stats(ops);
+          summary.textContent = st.added || st.removed
+            ? "Changes since the previous version: +" + st.added + " words, −" + st.removed + " words"
+            : "No changes since the previous version.";
+          summary.hidden = false;
+        }
+      }
+
+      // ─────────────────────────────────────────────
+      // Inline edits (deliverable modal)
+      // ─────────────────────────────────────────────
+      // Edits replace text / subject / body on the state itself, so Copy, the
+      // Deliverables panel and Save to Works all pick them up. The AI's reply in
+      // the thread is left as it was; `original` keeps it for "Undo my edits".
+      const EDITABLE_FIELDS = ["text", "subject", "body"];
+
+      function applyDeliverableEdit(state, field, value) {
+        if (!state || EDITABLE_FIELDS.indexOf(field) === -1) return;
+        if (!state.original) {
+          state.original = {};
+          EDITABLE_FIELDS.forEach((f) => {
+            if (typeof state[f] === "string") state.original[f] = state[f];
+          });
+        }
+        state[field] = String(value || "");
+        state.userEdited = true;
+        if (state === lastDeliverableState) {
+          try { _setWorksCreateContext({ summary: _extractCreateSummary(state) }); } catch (_) {}
+        }
+      }
+
+      function revertDeliverableEdits(state) {
+        if (!state || !state.original) return;
+        Object.keys(state.original).forEach((f) => { state[f] = state.original[f]; });
+        delete state.original;
+        delete state.userEdited;
+        if (state === lastDeliverableState) {
+          try { _setWorksCreateContext({ summary: _extractCreateSummary(state) }); } catch (_) {}
+        }
+      }
+
+      function renderDeliverableEditor(modal, state) {
+        const editing = !!modal.__pawEditing;
+        const isEmail = String(state.variant || "") === "email";
+        modal.querySelectorAll("[data-edit-field]").forEach((el) => {
+          const field = el.getAttribute("data-edit-field");
+          el.hidden = !editing;
+          if (editing) el.value = String(state[field] || "");
+        });
+        modal.querySelectorAll(".paw-deliverable-text").forEach((el) => {
+          el.style.display = editing ? "none" : "";
+        });
+
+        const editBtn = modal.querySelector('[data-action="edit-deliverable"]');
+        if (editBtn) editBtn.textContent = editing ? "Done editing" : "Edit";
+        const revertBtn = modal.querySelector('[data-action="revert-edits"]');
+        if (revertBtn) revertBtn.hidden = !state.userEdited;
+        if (editing) {
+          const diffBtn = modal.querySelector('[data-action="toggle-diff"]');
+          const summary = modal.querySelector(".paw-deliverable-diff-summary");
+          if (diffBtn) diffBtn.hidden = true;
+          if (summary) summary.hidden = true;
+          // The text/email wraps also hold the editors.
+          const textWrap = modal.querySelector('[data-deliverable-variant="text"]');
+          const emailWrap = modal.querySelector('[data-deliverable-variant="email"]');
+          if (textWrap) textWrap.style.display = isEmail ? "none" : "";
+          if (emailWrap) emailWrap.style.display = isEmail ? "" : "none";
+        }
+      }
+
+      // ─────────────────────────────────────────────
+      // Read aloud (speechSynthesis)
+      // ─────────────────────────────────────────────
+      // Speaks one sentence per utterance: that is what lets us highlight the
+      // sentence being read, and it avoids Chrome cutting long utterances off.
+      // While playing, the target element shows the text as sentence spans; the
+      // original markup comes back on Stop. If the view is re-rendered underneath
+      // (new version, modal reopened) playback just stops.
+      // Browsers without speechSynthesis get no Listen controls at all.
+      const readAloudSupported = (function () {
+        try {
+          return !!(window.speechSynthesis && typeof window.SpeechSynthesisUtterance === "function");
+        } catch (_) {
+          return false;
+        }
+      })();
+      const READ_ALOUD_KEY = "paw_read_aloud_v1";
+      const READ_ALOUD_RATES = [0.8, 1, 1.2, 1.5];
+      const readAloudPrefs = { voice: "", rate: 1 };
+      try {
+        const saved = JSON.parse(window.localStorage.getItem(READ_ALOUD_KEY) || "{}");
+        if (saved && typeof saved.voice === "string") readAloudPrefs.voice = saved.voice;
+        if (saved && READ_ALOUD_RATES.indexOf(saved.rate) !== -1) readAloudPrefs.rate = saved.rate;
+      } catch (_) {}
+      let readAloudSession = null;
+
+      function saveReadAloudPrefs() {
+        try { window.localStorage.setItem(READ_ALOUD_KEY, JSON.stringify(readAloudPrefs)); } catch (_) {}
+      }
+
+      function getReadAloudVoices() {
+        try {
+          return window.speechSynthesis.getVoices() || [];
+        } catch (_) {
+          return [];
+        }
+      }
+
+      function splitSentences(text) {
+        const out = [];
+        String(text || "").split(/\n+/).forEach((line) => {
+          (line.match(/[^.!?…]+(?:[.!?…]+["'”’)\]]*\s*|$)/g) || []).forEach((part) => {
+            if (part.trim()) out.push(part.trim());
+          });
+        });
+        return out;
+      }
+
+      function readAloudStop() {
+        const session = readAloudSession;
+        if (!session) return;
+        readAloudSession = null;
+        try { window.speechSynthesis.cancel(); } catch (_) {}
+        if (session.view && session.view.parentNode === session.el) session.el.innerHTML = session.html;
+        if (session.onState) session.onState("stopped");
+      }
+
+      function readAloudPauseToggle() {
+        const session = readAloudSession;
+        if (!session) return;
+        try {
+          if (session.paused) window.speechSynthesis.resume();
+          else window.speechSynthesis.pause();
+        } catch (_) {}
+        session.paused = !session.paused;
+        if (session.onState) session.onState(session.paused ? "paused" : "playing");
+      }
+
+      function speakNextSentence(session) {
+        if (readAloudSession !== session) return;
+        if (!session.view.isConnected || session.index >= session.sentences.length) {
+          readAloudStop();
+          return;
+        }
+        const spans = session.view.querySelectorAll(".paw-readaloud-sentence");
+        spans.forEach((el, i) => el.classList.toggle("is-current", i === session.index));
+        try {
+          const current = spans[session.index];
+          if (current && current.scrollIntoView) current.scrollIntoView({ block: "nearest" });
+        } catch (_) {}
+
+        const u = new window.SpeechSynthesisUtterance(session.sentences[session.index]);
+        const voice = getReadAloudVoices().find((v) => v.voiceURI === readAloudPrefs.voice);
+        if (voice) {
+          u.voice = voice;
+          u.lang = voice.lang;
         }
+        u.rate = readAloudPrefs.rate;
+        u.onend = function () {
+          session.index += 1;
+          speakNextSentence(session);
+        };
+        u.onerror = function (e) {
+          if (readAloudSession !== session) return;
+          // "interrupted"/"canceled" come from our own cancel().
+          const code = e && e.error ? String(e.error) : "";
+          if (code !== "interrupted" && code !== "canceled") showToast("Couldn’t play audio in this browser.");
+          readAloudStop();
+        };
+        window.speechSynthesis.speak(u);
       }
 
-      function setComposerBusyMessageVisible(on) {
+      // el: element to highlight in; text: plain text to read; onState(state)
+      // is told "playing" / "paused" / "stopped".
+      function readAloudStart(el, text, onState) {
+        readAloudStop();
+        if (!readAloudSupported || !el) return;
+        const sentences = splitSentences(text);
+        if (!sentences.length) return;
+
+        const view = document.createElement("div");
+        view.className = "paw-readaloud-text";
+        view.innerHTML = sentences
+          .map((t) => '<span class="paw-readaloud-sentence">' + escapeHtml(t) + "</span>")
+          .join(" ");
+        const session = { el: el, html: el.innerHTML, view: view, sentences: sentences, index: 0, paused: false, onState: onState };
+        el.innerHTML = "";
+        el.appendChild(view);
+        readAloudSession = session;
+        try { window.speechSynthesis.cancel(); } catch (_) {}
+        if (onState) onState("playing");
+        speakNextSentence(session);
+      }
+
+      // Modal: Listen / Pause / Stop + voice and speed.
+      function renderReadAloudBar(modal) {
+        const bar = modal.querySelector(".paw-readaloud");
+        if (!bar) return;
+        bar.hidden = !readAloudSupported;
+        if (!readAloudSupported) return;
+        const session = readAloudSession && readAloudSession.owner === modal ? readAloudSession : null;
+        bar.querySelector('[data-action="ra-play"]').hidden = !!session;
+        const pause = bar.querySelector('[data-action="ra-pause"]');
+        pause.hidden = !session;
+        pause.textContent = session && session.paused ? "Resume" : "Pause";
+        bar.querySelector('[data-action="ra-stop"]').hidden = !session;
+
+        const voiceSel = bar.querySelector("[data-ra-voice]");
+        const voices = getReadAloudVoices();
+        if (voiceSel.__pawCount !== voices.length) {
+          voiceSel.__pawCount = voices.length;
+          voiceSel.innerHTML = '<option value="">Default voice</option>' + voices
+            .map((v) => '<option value="' + escapeHtml(v.voiceURI) + '">' + escapeHtml(v.name + " (" + v.lang + ")") + "</option>")
+            .join("");
+        }
+        voiceSel.value = readAloudPrefs.voice;
+        if (voiceSel.value !== readAloudPrefs.voice) voiceSel.value = "";
+        bar.querySelector("[data-ra-rate]").value = String(readAloudPrefs.rate);
+      }
+
+      function readAloudModal(modal) {
+        const state = modal.__pawDeliverableState || {};
+        const isEmail = String(state.variant || "") === "email";
+        const el = isEmail
+          ? modal.querySelector(".paw-deliverable-email-body")
+          : modal.querySelector('[data-deliverable-variant="text"] .paw-deliverable-text');
+        if (modal.__pawEditing) {
+          modal.__pawEditing = false;
+          showDeliverableModal(state);
+        }
+        const text = isEmail ? String(state.body || "") : PAWMarkdown.toPlainText(state.text);
+        readAloudStart(el, text, function () { renderReadAloudBar(modal); });
+        if (readAloudSession) readAloudSession.owner = modal;
+        renderReadAloudBar(modal);
+      }
+
+      if (readAloudSupported) {
         try {
-          const node = ensureComposerBusyMessage();
-          if (!node) return;
-          if (on) {
-            if ($composerBusyMessageLabel) $composerBusyMessageLabel.textContent = composerWorkingMessage;
-            node.hidden = false;
-            return;
-          }
-          node.hidden = true;
-          if ($composerBusyMessageLabel) $composerBusyMessageLabel.textContent = "";
+          window.speechSynthesis.addEventListener("voiceschanged", function () {
+            const modal = document.getElementById("pawDeliverableModal");
+            if (modal) renderReadAloudBar(modal);
+          });
         } catch (_) {}
       }
 
-      function clearComposerWorkingUi() {
+      // Bubbles: a Listen / Stop link in the row under every AI reply.
+      function ensureListenLink(bubble) {
+        if (!readAloudSupported) return;
         try {
-          if (!composerWorkingEnabled) return;
-          if ($input) {
-            $input.removeAttribute("readonly");
-            $input.removeAttribute("data-paw-working");
-          }
-          if ($composer) $composer.removeAttribute("data-paw-composer-working");
-          setComposerBusyMessageVisible(false);
-          try { updateSendEnabled(); } catch (_) {}
-          pawScheduleLayoutPing();
+          const wrap = bubble && bubble.closest ? bubble.closest(".msg") : null;
+          const block = wrap && wrap.closest ? wrap.closest(".paw-message-block") : null;
+          const row = block ? block.querySelector(".paw-report-row") : null;
+          if (!row || row.querySelector(".paw-listen-link")) return;
+
+          const link = document.createElement("a");
+          link.href = "#";
+          link.className = "paw-row-link paw-listen-link";
+          link.textContent = "Listen";
+          link.addEventListener("click", function (e) {
+            try { e.preventDefault(); } catch (_) {}
+            if (readAloudSession && readAloudSession.owner === link) {
+              readAloudStop();
+              return;
+            }
+            const turn = wrap.__pawTurn || null;
+            const alts = turn && turn.alternatives && turn.alternatives.length > 1 ? turn.alternatives : null;
+            const md = turn ? (alts ? alts[turn.altShown || 0].content : turn.content) : "";
+            const text = md ? PAWMarkdown.toPlainText(md) : safeText(bubble.textContent);
+            readAloudStart(bubble, text, function (state) {
+              link.textContent = state === "stopped" ? "Listen" : "Stop";
+            });
+            if (readAloudSession) readAloudSession.owner = link;
+          });
+
+          const separator = document.createElement("span");
+          separator.className = "paw-report-separator";
+          separator.setAttribute("aria-hidden", "true");
+          separator.textContent = "|";
+          row.insertBefore(separator, row.firstChild);
+          row.insertBefore(link, separator);
         } catch (_) {}
       }
 
-      function beginComposerWorkingState(displayText) {
+      // ─────────────────────────────────────────────
+      // Quick-revise chips
+      // ─────────────────────────────────────────────
+      // Sends the chip's instruction as a normal turn, plus `revision` so the
+      // Worker knows exactly which deliverable (and which wording, if the agent
+      // edited it) to revise.
+      function sendReviseChip(chip, deliverableState, extraRevision) {
+        const state = deliverableState || lastDeliverableState;
+        if (!chip || !state) return;
+        if (isSending) {
+          showToast("Wait for the current reply to finish.");
+          return;
+        }
+
+        const deliverable = { title: String(state.title || ""), variant: String(state.variant || "text") };
+        if (deliverable.variant === "email") {
+          deliverable.subject = String(state.subject || "");
+          deliverable.body = String(state.body || "");
+        } else {
+          deliverable.text = String(state.text || "");
+        }
+        const revision = Object.assign({
+          chip: chip.id,
+          instruction: chip.instruction,
+          deliverable: deliverable,
+          user_edited: !!state.userEdited
+        }, extraRevision || {});
+
+        hideDeliverableModal();
+        sendExtra(chip.instruction, { revision: revision }, { composerWorking: false, revisionBase: state });
+      }
+
+      // ─────────────────────────────────────────────
+      // Platform limits (counters + "Trim to fit")
+      // ─────────────────────────────────────────────
+      // Characters / words / SMS segments of a deliverable against the limits the
+      // tool supplied. Email deliverables are measured on the body. Shown in the
+      // deliverable modal (live while editing) and next to the latest reply.
+      const GSM_BASIC =
+        "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?¡" +
+        "ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+      const GSM_EXTENDED = "^{}\\[~]|€";
+
+      function readDeliverableLimits(meta) {
+        if (!getDeliverableLimits) return null;
         try {
-          if (!composerWorkingEnabled || !$input) return false;
-          const text = String(
-            typeof displayText === "string" ? displayText : ($input.value || "")
-          );
-          const rect = $input.getBoundingClientRect ? $input.getBoundingClientRect() : null;
-          const height =
-            $input.style.height ||
-            (rect && rect.height ? Math.max(0, Math.round(rect.height)) + "px" : "");
-          composerWorkingSnapshot = {
-            text: text,
-            scrollTop: $input.scrollTop || 0,
-            height: height,
-            overflowY: $input.style.overflowY || ""
+          const l = getDeliverableLimits(meta || {});
+          if (!l || typeof l !== "object") return null;
+          const num = (v) => (typeof v === "number" && v > 0 ? Math.floor(v) : 0);
+          const out = {
+            label: safeText(l.label),
+            maxChars: num(l.maxChars),
+            maxWords: num(l.maxWords),
+            maxSegments: num(l.maxSegments),
+            sms: l.sms === true || num(l.maxSegments) > 0
           };
-          $input.value = text;
-          if (height) $input.style.height = height;
-          $input.style.overflowY = composerWorkingSnapshot.overflowY;
-          $input.setAttribute("readonly", "");
-          $input.setAttribute("data-paw-working", "1");
-          if ($composer) $composer.setAttribute("data-paw-composer-working", "1");
-          setComposerBusyMessageVisible(true);
-          try { updateSendEnabled(); } catch (_) {}
-          try { $input.scrollTop = composerWorkingSnapshot.scrollTop; } catch (_) {}
-          requestAnimationFrame(function () {
-            try {
-              if ($input && composerWorkingSnapshot) $input.scrollTop = composerWorkingSnapshot.scrollTop;
-            } catch (_) {}
-          });
-          pawScheduleLayoutPing();
-          return true;
+          return out.maxChars || out.maxWords || out.sms ? out : null;
         } catch (_) {
-          return false;
+          return null;
         }
       }
 
-      function endComposerWorkingState(options) {
-        const opts = options && typeof options === "object" ? options : {};
-        const snapshot = composerWorkingSnapshot;
-        composerWorkingSnapshot = null;
-        clearComposerWorkingUi();
-        if (!$input) return;
-        if (opts.clear === true) {
-          clearComposer({ keepFocus: opts.keepFocus !== false });
-          return;
-        }
-        const restoreText =
-          typeof opts.text === "string"
-            ? opts.text
-            : snapshot && typeof snapshot.text === "string"
-              ? snapshot.text
-              : String($input.value || "");
-        $input.value = restoreText;
-        try { autoGrowTextarea($input); } catch (_) {}
-        if (snapshot && typeof snapshot.scrollTop === "number") {
-          try { $input.scrollTop = snapshot.scrollTop; } catch (_) {}
+      // Standard SMS segmenting: GSM-7 is 160 per message / 153 per part (extension
+      // characters count double); anything else is UCS-2 at 70 / 67.
+      function smsSegments(text) {
+        const str = String(text || "");
+        let units = 0;
+        let gsm = true;
+        for (const ch of str) {
+          if (GSM_BASIC.indexOf(ch) !== -1) units += 1;
+          else if (GSM_EXTENDED.indexOf(ch) !== -1) units += 2;
+          else {
+            gsm = false;
+            break;
+          }
         }
-        try { updateSendEnabled(); } catch (_) {}
-        if (opts.keepFocus) {
-          try { $input.focus(); } catch (_) {}
+        if (!gsm) units = str.length;
+        const single = gsm ? 160 : 70;
+        const part = gsm ? 153 : 67;
+        return { encoding: gsm ? "GSM" : "Unicode", segments: units <= single ? (units ? 1 : 0) : Math.ceil(units / part) };
+      }
+
+      function measureDeliverable(state) {
+        const limits = state && state.limits;
+        if (!limits) return null;
+        const text = String(state.variant || "") === "email" ? String(state.body || "") : PAWMarkdown.toPlainText(state.text);
+        const chars = Array.from(text).length;
+        const words = (text.match(/\S+/g) || []).length;
+        const sms = limits.sms ? smsSegments(text) : null;
+        const over = [];
+        if (limits.maxChars && chars > limits.maxChars) over.push((chars - limits.maxChars) + " characters over");
+        if (limits.maxWords && words > limits.maxWords) over.push((words - limits.maxWords) + " words over");
+        if (limits.maxSegments && sms && sms.segments > limits.maxSegments) {
+          over.push(sms.segments + " SMS segments (limit " + limits.maxSegments + ")");
         }
-        pawScheduleLayoutPing();
+        return { limits: limits, chars: chars, words: words, sms: sms, over: over };
       }
 
+      function describeMeasure(m, short) {
+        const fmt = (n) => Number(n).toLocaleString();
+        const parts = [];
+        parts.push(m.limits.maxChars ? fmt(m.chars) + " / " + fmt(m.limits.maxChars) + (short ? " chars" : " characters") : fmt(m.chars) + (short ? " chars" : " characters"));
+        if (!short || m.limits.maxWords) {
+          parts.push(m.limits.maxWords ? fmt(m.words) + " / " + fmt(m.limits.maxWords) + " words" : fmt(m.words) + " words");
+        }
+        if (m.sms) parts.push(m.sms.segments + (m.sms.segments === 1 ? " SMS segment" : " SMS segments") + (short ? "" : " (" + m.sms.encoding + ")"));
+        return parts.join(" · ");
+      }
 
-// ==========================================================
-// Layout ping for Circle iframe auto-height (LOCKED)
-// ----------------------------------------------------------
-// Problem:
-// - Tool pages include an iframe height reporter that relies on DOM MutationObserver
-//   (childList/characterData) to know when to re-measure.
-// - Textarea auto-grow changes layout styles, but does NOT mutate the DOM.
-// Result:
-// - The textarea may technically resize, but the parent iframe height won't update,
-//   making it appear "stuck" in Circle.
-// Solution:
-// - Maintain a tiny hidden "ping" node in <body> and update its textContent whenever
-//   we change layout (e.g., textarea height). This triggers the MutationObserver and
-//   causes the existing reporter to re-measure.
-//
-// Notes:
-// - This is intentionally lightweight and throttled to rAF.
-// - No tool-specific code; works everywhere tool-shell.js runs.
-// ==========================================================
-let __pawLayoutPingEl = null;
-let __pawLayoutPingN = 0;
-let __pawLayoutPingRaf = 0;
+      function trimToFit(state) {
+        const m = measureDeliverable(state);
+        if (!m) return;
+        const targets = [];
+        if (m.limits.maxChars) targets.push(m.limits.maxChars + " characters");
+        if (m.limits.maxWords) targets.push(m.limits.maxWords + " words");
+        if (m.limits.maxSegments) targets.push(m.limits.maxSegments + (m.limits.maxSegments === 1 ? " SMS segment" : " SMS segments"));
+        const instruction =
+          "Trim it to fit " + (m.limits.label || "the limit") + ": at most " + targets.join(" and ") +
+          ". Keep the key facts; cut filler first.";
+        sendReviseChip({ id: "trim_to_fit", label: "Trim to fit", instruction: instruction }, state, {
+          limit: {
+            label: m.limits.label,
+            max_chars: m.limits.maxChars || null,
+            max_words: m.limits.maxWords || null,
+            max_sms_segments: m.limits.maxSegments || null,
+            chars: m.chars,
+            words: m.words,
+            sms_segments: m.sms ? m.sms.segments : null
+          }
+        });
+      }
 
-function pawScheduleLayoutPing(){
-  try{
-    if (__pawLayoutPingRaf) return;
-    __pawLayoutPingRaf = requestAnimationFrame(function(){
-      __pawLayoutPingRaf = 0;
-
-      // Ensure node exists (lazy to avoid touching DOM during early head execution)
-      if (!document || !document.body) return;
-      if (!__pawLayoutPingEl){
-        __pawLayoutPingEl = document.getElementById("__paw_layout_ping");
-        if (!__pawLayoutPingEl){
-          __pawLayoutPingEl = document.createElement("span");
-          __pawLayoutPingEl.id = "__paw_layout_ping";
-          __pawLayoutPingEl.setAttribute("aria-hidden", "true");
-          __pawLayoutPingEl.style.cssText =
-            "position:absolute;left:-9999px;top:-9999px;width:1px;height:1px;overflow:hidden;";
-          __pawLayoutPingEl.appendChild(document.createTextNode("0"));
-          document.body.appendChild(__pawLayoutPingEl);
-        }
-      }
-
-      // CharacterData mutation: triggers the page-level MutationObserver height reporter.
-      __pawLayoutPingN += 1;
-      if (__pawLayoutPingEl.firstChild && __pawLayoutPingEl.firstChild.nodeType === 3){
-        __pawLayoutPingEl.firstChild.nodeValue = String(__pawLayoutPingN);
-      } else {
-        __pawLayoutPingEl.textContent = String(__pawLayoutPingN);
+      function renderDeliverableLimits(modal, state) {
+        const box = modal.querySelector(".paw-deliverable-limits");
+        if (!box) return;
+        const m = measureDeliverable(state);
+        box.hidden = !m;
+        if (!m) return;
+        box.classList.toggle("is-over", m.over.length > 0);
+        box.querySelector(".paw-deliverable-limits__counts").textContent =
+          (m.limits.label ? m.limits.label + ": " : "") + describeMeasure(m, false);
+        const warn = box.querySelector(".paw-deliverable-limits__warn");
+        warn.textContent = m.over.length ? "Over the limit: " + m.over.join(", ") + "." : "";
+        warn.hidden = !m.over.length;
+        box.querySelector('[data-action="trim-to-fit"]').hidden = !m.over.length;
       }
-    });
-  } catch(_){}
-}
 
-// ==========================================================
-// Auto-grow textarea (LOCKED)
-// ----------------------------------------------------------
-// Goal: ChatGPT-style expanding input across all tools.
-// Contract:
-// - CSS sets max-height and overflow-y:hidden by default.
-// - JS expands height to fit content until max-height, then enables scroll.
-// - Reset/clear returns textarea to its baseline height.
-// ==========================================================
-function autoGrowTextarea($ta){
-  try{
-    if(!$ta) return;
-    // Reset to auto so scrollHeight reflects true content height
-    $ta.style.height = "auto";
+      // Counter next to the latest reply's Copy / Feedback links.
+      function ensureLimitBadge(bubble, isLast) {
+        try {
+          const wrap = bubble && bubble.closest ? bubble.closest(".msg") : null;
+          const block = wrap && wrap.closest ? wrap.closest(".paw-message-block") : null;
+          const row = block ? block.querySelector(".paw-report-row") : null;
+          if (!row) return;
 
-    // Max height from computed styles (falls back to 320px via CSS var)
-    const cs = window.getComputedStyle($ta);
-    const maxH = parseFloat(cs.maxHeight || "0") || 320;
+          const existing = row.querySelector(".paw-limit-badge");
+          const turn = wrap.__pawTurn || null;
+          const alts = turn && turn.alternatives && turn.alternatives.length > 1 ? turn.alternatives : null;
+          const state = !turn || !isLast || getLatestReplyTurn() !== turn
+            ? null
+            : alts ? altDeliverable(alts[turn.altShown || 0]) : turn.deliverable || lastDeliverableState;
+          const m = measureDeliverable(state);
+          if (!m) {
+            if (existing) removeNode(existing);
+            return;
+          }
 
-    const next = Math.min($ta.scrollHeight, maxH);
-    $ta.style.height = next + "px";
+          const label = describeMeasure(m, true);
+          // The observer re-runs this on every thread mutation; only rebuild on change.
+          const key = [turn.id, turn.altShown || 0, label, isSending ? 1 : 0].join(":");
+          if (existing && existing.__pawKey === key) return;
+
+          const badge = document.createElement("span");
+          badge.className = "paw-limit-badge" + (m.over.length ? " is-over" : "");
+          badge.__pawKey = key;
+          badge.title = (m.limits.label ? m.limits.label + ": " : "") + describeMeasure(m, false);
+          badge.appendChild(document.createTextNode(label));
+          if (m.over.length) {
+            const trim = document.createElement("a");
+            trim.href = "#";
+            trim.className = "paw-row-link paw-trim-link";
+            trim.textContent = "Trim to fit";
+            if (isSending) trim.setAttribute("aria-disabled", "true");
+            trim.addEventListener("click", function (e) {
+              try { e.preventDefault(); } catch (_) {}
+              if (trim.getAttribute("aria-disabled") === "true") return;
+              trimToFit(state);
+            });
+            badge.appendChild(trim);
+          }
 
-    // If we hit max height, allow scrolling within textarea
-    if ($ta.scrollHeight > maxH + 1){
-      $ta.style.overflowY = "auto";
-    } else {
-      $ta.style.overflowY = "hidden";
-    }
-    // Notify Circle iframe auto-height reporter that layout changed.
-    pawScheduleLayoutPing();
-  } catch(_){}
-}
+          if (existing) row.replaceChild(badge, existing);
+          else row.appendChild(badge);
+        } catch (_) {}
+      }
 
-function resetAutoGrowTextarea($ta){
-  try{
-    if(!$ta) return;
-    $ta.style.height = "";
-    $ta.style.overflowY = "";
-    // Notify Circle iframe auto-height reporter that layout changed.
-    pawScheduleLayoutPing();
-  }catch(_){}
-}
+      // ─────────────────────────────────────────────
+      // Send-to actions (Connect: email app, messages, .eml)
+      // ─────────────────────────────────────────────
+      // mailto:/sms: URLs get long fast and clients cut them off silently (~2,000
+      // characters is the safe ceiling). Past that, the link carries the subject
+      // only and the body goes to the clipboard, so nothing is ever half-sent.
+      const SEND_URL_MAX = 2000;
 
+      function openExternalUrl(url) {
+        const a = document.createElement("a");
+        a.href = url;
+        a.rel = "noopener";
+        a.style.display = "none";
+        document.body.appendChild(a);
+        a.click();
+        removeNode(a);
+      }
 
+      function buildMailtoUrl(subject, body) {
+        const params = [];
+        if (subject) params.push("subject=" + encodeURIComponent(subject));
+        if (body) params.push("body=" + encodeURIComponent(String(body).replace(/\r?\n/g, "\r\n")));
+        return "mailto:" + (params.length ? "?" + params.join("&") : "");
+      }
 
-      function getPostUrl() {
-        // IMPORTANT FIX: Worker is at the root, NOT /api
-        return apiEndpoint.replace(/\/+$/, "");
+      // "?&body=" is the form both iOS and Android Messages accept without a recipient.
+      function buildSmsUrl(body) {
+        return "sms:?&body=" + encodeURIComponent(String(body || ""));
       }
 
-      async function postToWorker(payload) {
-        const token = getCSRFTokenFromMeta();
-        const url = getPostUrl();
-        return await postJSON(url, payload, token);
+      function encodeMimeHeader(value) {
+        const str = String(value || "").replace(/[\r\n]+/g, " ");
+        if (/^[\x20-\x7e]*$/.test(str)) return str;
+        return "=?UTF-8?B?" + btoa(unescape(encodeURIComponent(str))) + "?=";
+      }
+
+      // Unsent draft: Outlook / Apple Mail open it as a new message ready to address.
+      function buildEml(subject, body) {
+        const b64 = btoa(unescape(encodeURIComponent(String(body || "").replace(/\r?\n/g, "\r\n"))));
+        return [
+          "X-Unsent: 1",
+          "To: ",
+          "Subject: " + encodeMimeHeader(subject),
+          "MIME-Version: 1.0",
+          "Content-Type: text/plain; charset=UTF-8",
+          "Content-Transfer-Encoding: base64",
+          "",
+          (b64.match(/.{1,76}/g) || []).join("\r\n"),
+          ""
+        ].join("\r\n");
+      }
+
+      function renderDeliverableSendTo(modal, state) {
+        const row = modal.querySelector(".paw-deliverable-sendto");
+        if (!row) return;
+        const isEmail = String(state.variant || "") === "email";
+        const isText = !isEmail && state.channel === "text";
+        row.querySelector('[data-action="send-mailto"]').hidden = !isEmail;
+        row.querySelector('[data-action="download-eml"]').hidden = !isEmail;
+        row.querySelector('[data-action="send-sms"]').hidden = !isText;
+        row.hidden = !isEmail && !isText;
+      }
+
+      function handleDeliverableSendTo(action, state) {
+        if (!state) return;
+        try {
+          if (action === "download-eml") {
+            const subject = String(state.subject || "");
+            const slug = subject.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40) || "email";
+            PAWExport.download(slug + ".eml", new Blob([buildEml(subject, state.body)], { type: "message/rfc822" }));
+            showToast("Email draft downloaded");
+            return;
+          }
+
+          if (action === "send-mailto") {
+            const subject = String(state.subject || "");
+            const body = String(state.body || "");
+            const full = buildMailtoUrl(subject, body);
+            if (full.length <= SEND_URL_MAX) {
+              openExternalUrl(full);
+              return;
+            }
+            copyToClipboard(body);
+            openExternalUrl(buildMailtoUrl(subject, ""));
+            showToast("Email is long, so the body was copied. Paste it into the new message.");
+            return;
+          }
+
+          if (action === "send-sms") {
+            const body = PAWMarkdown.toPlainText(state.text);
+            const full = buildSmsUrl(body);
+            if (full.length <= SEND_URL_MAX) {
+              openExternalUrl(full);
+              return;
+            }
+            copyToClipboard(body);
+            openExternalUrl("sms:");
+            showToast("Message is long, so it was copied. Paste it into the new text.");
+          }
+        } catch (_) {
+          showToast("Couldn’t open that app. Use Copy instead.");
+        }
       }
 
-      
       // Render Worker reply.
       // Listing tool uses "deliverableMode" and should keep the chat flow linear:
       // - Always render the deliverable as a normal assistant message in the thread.
@@ -1848,9 +5853,35 @@ function resetAutoGrowTextarea($ta){
           '    <button class="modal-close" data-action="close" aria-label="Close" type="button">✕</button>' +
           '  </div>' +
           '  <div class="modal-body">' +
+          '    <div class="paw-deliverable-alts" hidden>' +
+          '      <span class="paw-branch-nav">' +
+          '        <button type="button" class="paw-branch-nav__btn" data-action="alt-step" data-step="-1" aria-label="Previous version">‹</button>' +
+          '        <span class="paw-branch-nav__label"></span>' +
+          '        <button type="button" class="paw-branch-nav__btn" data-action="alt-step" data-step="1" aria-label="Next version">›</button>' +
+          '      </span>' +
+          '      <span class="paw-deliverable-alts__actions">' +
+          '        <button class="btn" type="button" data-action="alt-compare">Compare</button>' +
+          '        <button class="btn primary" type="button" data-action="alt-use">Use this version</button>' +
+          '      </span>' +
+          '    </div>' +
+          '    <div class="paw-deliverable-compare" hidden></div>' +
+          '    <div class="paw-deliverable-diff-summary" hidden></div>' +
+          '    <div class="paw-readaloud" hidden>' +
+          '      <button class="btn" type="button" data-action="ra-play">Listen</button>' +
+          '      <button class="btn" type="button" data-action="ra-pause" hidden>Pause</button>' +
+          '      <button class="btn" type="button" data-action="ra-stop" hidden>Stop</button>' +
+          '      <select data-ra-voice aria-label="Voice"></select>' +
+          '      <select data-ra-rate aria-label="Speed">' +
+          READ_ALOUD_RATES.map((r) => '<option value="' + r + '">' + r + "×</option>").join("") +
+          "</select>" +
+          '    </div>' +
           '    <div data-deliverable-variant="text">' +
-          '      <div class="paw-deliverable-text" style="white-space:pre-wrap; word-break:break-word;"></div>' +
+          '      <div class="paw-deliverable-text paw-md" style="word-break:break-word;"></div>' +
+          '      <textarea class="paw-deliverable-editor" data-edit-field="text" rows="12" aria-label="Edit deliverable" hidden></textarea>' +
           '      <div style="display:flex; gap:10px; justify-content:flex-end; margin-top:14px;">' +
+          '        <label class="paw-copy-format"><span>Copy as</span><select data-copy-format aria-label="Copy format">' +
+          COPY_FORMATS.map((f) => '<option value="' + f.id + '">' + escapeHtml(f.label) + "</option>").join("") +
+          "</select></label>" +
           '        <button class="btn" type="button" data-action="copy">Copy</button>' +
           '      </div>' +
           '    </div>' +
@@ -1860,13 +5891,30 @@ function resetAutoGrowTextarea($ta){
           '        <button class="btn" type="button" data-action="copy-subject">Copy Subject</button>' +
           '      </div>' +
           '      <div class="paw-deliverable-email-subject paw-deliverable-text" style="max-height:none; margin-bottom:14px;"></div>' +
+          '      <input class="paw-deliverable-editor" type="text" data-edit-field="subject" aria-label="Edit subject" hidden />' +
           '      <div style="display:flex; align-items:center; justify-content:space-between; gap:10px; margin-bottom:6px;">' +
           '        <div style="font-size:12px; font-weight:800; color:rgba(15,23,42,.68); letter-spacing:.01em; text-transform:uppercase;">Body</div>' +
           '        <button class="btn" type="button" data-action="copy-body">Copy Body</button>' +
           '      </div>' +
           '      <div class="paw-deliverable-email-body paw-deliverable-text" style="white-space:pre-wrap; word-break:break-word;"></div>' +
+          '      <textarea class="paw-deliverable-editor" data-edit-field="body" rows="12" aria-label="Edit body" hidden></textarea>' +
+          '    </div>' +
+          '    <div class="paw-deliverable-limits" hidden>' +
+          '      <span class="paw-deliverable-limits__counts"></span>' +
+          '      <span class="paw-deliverable-limits__warn" hidden></span>' +
+          '      <button class="btn" type="button" data-action="trim-to-fit" hidden>Trim to fit</button>' +
           '    </div>' +
+          '    <div class="paw-deliverable-sendto" hidden>' +
+          '      <button class="btn" type="button" data-action="send-mailto" hidden>Open in email</button>' +
+          '      <button class="btn" type="button" data-action="download-eml" hidden>Download .eml</button>' +
+          '      <button class="btn" type="button" data-action="send-sms" hidden>Open in messages</button>' +
+          '    </div>' +
+          '    <div class="paw-revise-chips" role="group" aria-label="Quick revisions" hidden></div>' +
           '    <div style="display:flex; gap:10px; justify-content:flex-end; margin-top:14px;">' +
+          '      <button class="btn" type="button" data-action="revert-edits" hidden>Undo my edits</button>' +
+          '      <button class="btn" type="button" data-action="edit-deliverable">Edit</button>' +
+          '      <button class="btn" type="button" data-action="toggle-diff" hidden>Show changes</button>' +
+          '      <button class="btn" type="button" data-action="all-deliverables" hidden>All deliverables</button>' +
           '      <button class="btn primary" type="button" data-action="revise">Revise</button>' +
           '    </div>' +
           '  </div>' +
@@ -1874,6 +5922,14 @@ function resetAutoGrowTextarea($ta){
 
         document.body.appendChild(modal);
 
+        const chipRow = modal.querySelector(".paw-revise-chips");
+        if (chipRow && reviseChips.length) {
+          chipRow.innerHTML = reviseChips.map((c, i) =>
+            '<button class="paw-revise-chip" type="button" data-action="revise-chip" data-chip="' + i + '">' + escapeHtml(c.label) + "</button>"
+          ).join("");
+          chipRow.hidden = false;
+        }
+
         // Click handlers (delegated)
         modal.addEventListener("click", function (e) {
           const t = e.target;
@@ -1893,31 +5949,94 @@ function resetAutoGrowTextarea($ta){
             return;
           }
 
+          if (handleDeliverableAltAction(modal, action, t)) return;
+
+          if (action === "all-deliverables") {
+            showDeliverablesPanel();
+            return;
+          }
+
           if (action === "copy") {
-            const textEl = modal.querySelector(".paw-deliverable-text");
-            const txt = textEl ? textEl.textContent : "";
-            copyToClipboard(txt);
-            showToast("Copied");
+            // Copy from the source, not the rendered Markdown's textContent.
+            const shown = modal.__pawDeliverableState || {};
+            showToast(copyDeliverableText(shown.text, copyFormat));
             return;
           }
 
           if (action === "copy-subject") {
-            const subjectEl = modal.querySelector(".paw-deliverable-email-subject");
-            const txt = subjectEl ? subjectEl.textContent : "";
+            // From state, not the DOM: the diff view puts removed words in there too.
+            const txt = String((modal.__pawDeliverableState || {}).subject || "");
             copyToClipboard(txt);
             showToast("Subject copied");
             return;
           }
 
           if (action === "copy-body") {
-            const bodyEl = modal.querySelector(".paw-deliverable-email-body");
-            const txt = bodyEl ? bodyEl.textContent : "";
+            const txt = String((modal.__pawDeliverableState || {}).body || "");
             copyToClipboard(txt);
             showToast("Body copied");
             return;
           }
 
+          if (action === "edit-deliverable") {
+            modal.__pawEditing = !modal.__pawEditing;
+            if (modal.__pawEditing) {
+              modal.__pawDiffOn = false;
+              modal.__pawCompareWith = null;
+            }
+            showDeliverableModal(modal.__pawDeliverableState, { keepEdit: true });
+            if (modal.__pawEditing) {
+              try { modal.querySelector(".paw-deliverable-editor:not([hidden])").focus(); } catch (_) {}
+            }
+            return;
+          }
+
+          if (action === "revert-edits") {
+            revertDeliverableEdits(modal.__pawDeliverableState);
+            modal.__pawEditing = false;
+            showDeliverableModal(modal.__pawDeliverableState);
+            refreshReplyControls();
+            showToast("Edits undone");
+            return;
+          }
+
+          if (action === "toggle-diff") {
+            modal.__pawDiffOn = !modal.__pawDiffOn;
+            showDeliverableModal(modal.__pawDeliverableState, { keepCompare: true, keepDiff: true });
+            return;
+          }
+
+          if (action === "ra-play") {
+            readAloudModal(modal);
+            return;
+          }
+          if (action === "ra-pause") {
+            readAloudPauseToggle();
+            return;
+          }
+          if (action === "ra-stop") {
+            readAloudStop();
+            return;
+          }
+
+          if (action === "send-mailto" || action === "send-sms" || action === "download-eml") {
+            handleDeliverableSendTo(action, modal.__pawDeliverableState);
+            return;
+          }
+
+          if (action === "trim-to-fit") {
+            trimToFit(modal.__pawDeliverableState);
+            return;
+          }
+
+          if (action === "revise-chip") {
+            sendReviseChip(reviseChips[Number(t.getAttribute("data-chip"))], modal.__pawDeliverableState);
+            return;
+          }
+
           if (action === "revise") {
+            // The next deliverable is diffed against the one on screen now.
+            composerRevisionBase = modal.__pawDeliverableState || lastDeliverableState;
             hideDeliverableModal();
 
             // UX: focus the composer and prompt for the revision request.
@@ -1933,6 +6052,32 @@ function resetAutoGrowTextarea($ta){
           }
         });
 
+        // Voice / speed apply from the next sentence on.
+        modal.querySelectorAll("[data-ra-voice], [data-ra-rate]").forEach((sel) => {
+          sel.addEventListener("change", function () {
+            if (sel.hasAttribute("data-ra-voice")) readAloudPrefs.voice = sel.value;
+            else readAloudPrefs.rate = Number(sel.value) || 1;
+            saveReadAloudPrefs();
+          });
+        });
+
+        const formatSelect = modal.querySelector("[data-copy-format]");
+        if (formatSelect) {
+          formatSelect.value = copyFormat;
+          formatSelect.addEventListener("change", function () { setCopyFormat(formatSelect.value); });
+        }
+
+        // Edits are written straight onto the shown state (usually lastDeliverableState).
+        modal.addEventListener("input", function (e) {
+          const field = e.target && e.target.getAttribute ? e.target.getAttribute("data-edit-field") : "";
+          if (!field) return;
+          applyDeliverableEdit(modal.__pawDeliverableState, field, e.target.value);
+          renderDeliverableLimits(modal, modal.__pawDeliverableState);
+          refreshReplyControls();
+          const revertBtn = modal.querySelector('[data-action="revert-edits"]');
+          if (revertBtn) revertBtn.hidden = false;
+        });
+
         // Escape closes
         document.addEventListener("keydown", function (e) {
           if (e.key === "Escape") hideDeliverableModal();
@@ -1978,14 +6123,20 @@ function resetAutoGrowTextarea($ta){
             ? reportMeta.deliverableMeta
             : {};
 
-        if (toolId === "connect" && String(meta.channel || "").toLowerCase() === "email") {
+        const limits = readDeliverableLimits(meta);
+        // Connect: the channel picks the send-to actions (email app vs messages).
+        const channel = toolId === "connect" ? String(meta.channel || "").toLowerCase() : "";
+
+        if (channel === "email") {
           const parsed = parseConnectEmailDeliverable(rawText);
           if (parsed) {
             return {
               title: String(title || "Your Deliverable"),
               variant: "email",
               subject: parsed.subject,
-              body: stripConnectEmailSignaturePlaceholder(parsed.body, meta)
+              body: stripConnectEmailSignaturePlaceholder(parsed.body, meta),
+              channel: channel,
+              limits: limits
             };
           }
         }
@@ -1993,11 +6144,14 @@ function resetAutoGrowTextarea($ta){
         return {
           title: String(title || "Your Deliverable"),
           variant: "text",
-          text: rawText
+          text: rawText,
+          channel: channel,
+          limits: limits
         };
       }
 
-      function showDeliverableModal(deliverableState) {
+      function showDeliverableModal(deliverableState, options) {
+        const opts = options && typeof options === "object" ? options : {};
         const modal = ensureDeliverableModal();
         const titleEl = modal.querySelector("#pawDeliverableTitle");
         const textWrap = modal.querySelector('[data-deliverable-variant="text"]');
@@ -2008,6 +6162,16 @@ function resetAutoGrowTextarea($ta){
         const state = deliverableState && typeof deliverableState === "object" ? deliverableState : {};
 
         if (titleEl) titleEl.textContent = String(state.title || "Your Deliverable");
+        modal.__pawDeliverableState = state;
+
+        // Regenerated replies: keep the modal, bubble and version bar on the same version.
+        const altTurn = getLatestReplyTurn();
+        const altIdx = altTurn && altTurn.alternatives && altTurn.alternatives.length > 1
+          ? altTurn.alternatives.findIndex((a) => a.deliverable === state)
+          : -1;
+        modal.__pawAltTurn = altIdx !== -1 ? altTurn : null;
+        if (!opts.keepCompare) modal.__pawCompareWith = typeof opts.compareWith === "number" ? opts.compareWith : null;
+        if (altIdx !== -1 && altIdx !== (altTurn.altShown || 0)) showReplyAlternative(altTurn, altIdx);
 
         if (String(state.variant || "") === "email") {
           if (textWrap) textWrap.style.display = "none";
@@ -2018,10 +6182,24 @@ function resetAutoGrowTextarea($ta){
         } else {
           if (textWrap) textWrap.style.display = "";
           if (emailWrap) emailWrap.style.display = "none";
-          if (bodyEl) bodyEl.textContent = String(state.text || "");
+          if (bodyEl) bodyEl.innerHTML = PAWMarkdown.toHtml(state.text);
           if (subjectEl) subjectEl.textContent = "";
           if (emailBodyEl) emailBodyEl.textContent = "";
         }
+        if (!opts.keepDiff) modal.__pawDiffOn = false;
+        if (!opts.keepEdit) modal.__pawEditing = false;
+        renderDeliverableDiff(modal, state);
+        renderDeliverableEditor(modal, state);
+        renderDeliverableLimits(modal, state);
+        renderDeliverableSendTo(modal, state);
+        if (readAloudSession && readAloudSession.owner === modal) readAloudStop();
+        renderReadAloudBar(modal);
+        renderDeliverableAlternatives(modal);
+        const allBtn = modal.querySelector('[data-action="all-deliverables"]');
+        if (allBtn) {
+          allBtn.hidden = sessionDeliverables.length < 2;
+          allBtn.textContent = "All deliverables (" + sessionDeliverables.length + ")";
+        }
 
         modal.classList.add("show");
         modal.setAttribute("aria-hidden", "false");
@@ -2151,44 +6329,23 @@ function resetAutoGrowTextarea($ta){
               const baseUrl = getPostUrl();
               const url = baseUrl.replace(/\/+$/, "") + "/give-feedback";
 
-              // NOTE: We intentionally do not use postJSON() here because postJSON() prefers
-              // `error` over `message` when building the thrown Error. For this reporting modal
-              // we want the friendly `message` text if the Worker provides it.
-              const headers = { "Content-Type": "application/json" };
-              if (token) headers["X-CSRF-Token"] = token;
-
-              const resp = await fetch(url, {
+              // PAWApi prefers the Worker's friendly `message` text over the raw
+              // error code, which is what this reporting modal wants to show.
+              await PAWApi.request(url, {
                 method: "POST",
-                headers,
-                body: JSON.stringify({
+                // Feedback has always gone out without the member's bearer token.
+                auth: false,
+                csrf: token,
+                body: {
                   kind: "user_feedback",
                   reason,
                   note,
                   snapshot,
-                }),
+                },
+                textKey: "message",
+                errorMessage: "Could not send right now. Please try again.",
               });
 
-              const respText = await resp.text();
-              let res = null;
-              try {
-                res = JSON.parse(respText);
-              } catch (_) {
-                res = { message: respText || "" };
-              }
-
-              if (!resp.ok) {
-                throw new Error(
-                  (res && (res.message || res.reply)) ||
-                    "Could not send right now. Please try again."
-                );
-              }
-
-              if (res && res.ok === false) {
-                throw new Error(
-                  res.message || "Could not send right now. Please try again."
-                );
-              }
-
               if (statusEl) statusEl.textContent = "Saved. Thank you!";
               setTimeout(function () {
                 try {
@@ -2297,6 +6454,357 @@ function resetAutoGrowTextarea($ta){
       function hideDeliverableModal() {
         const modal = document.getElementById("pawDeliverableModal");
         if (!modal) return;
+        if (readAloudSession && readAloudSession.owner === modal) readAloudStop();
+        modal.classList.remove("show");
+        modal.setAttribute("aria-hidden", "true");
+      }
+
+      // ─────────────────────────────────────────────
+      // Session deliverables panel
+      // ─────────────────────────────────────────────
+      // Every deliverable produced this session (replies + regenerated versions),
+      // newest first, with Open / Copy / Save this one. Session-only: nothing is
+      // persisted, and Reset clears it. "Save this one" hands that exact version to
+      // the shared Works create flow instead of lastDeliverableState.
+      const MAX_SESSION_DELIVERABLES = 50;
+      let sessionDeliverables = [];
+      let sessionDeliverableSeq = 0;
+      let $deliverablesToggle = null;
+
+      function recordSessionDeliverable(state) {
+        if (!deliverablesPanelEnabled || !state || typeof state !== "object") return;
+        if (sessionDeliverables.some((d) => d.state === state)) return;
+        sessionDeliverables.push({
+          id: "d" + (++sessionDeliverableSeq),
+          title: String(state.title || getDeliverableTitle() || "Deliverable"),
+          createdAt: new Date().toISOString(),
+          variant: String(state.variant || "text") === "email" ? "email" : "text",
+          state: state
+        });
+        if (sessionDeliverables.length > MAX_SESSION_DELIVERABLES) {
+          sessionDeliverables = sessionDeliverables.slice(-MAX_SESSION_DELIVERABLES);
+        }
+        updateDeliverablesToggle();
+        const panel = document.getElementById("pawDeliverablesPanel");
+        if (panel && panel.classList.contains("show")) renderDeliverablesPanel(panel);
+      }
+
+      function clearSessionDeliverables() {
+        sessionDeliverables = [];
+        updateDeliverablesToggle();
+        hideDeliverablesPanel();
+      }
+
+      function updateDeliverablesToggle() {
+        try {
+          if (!deliverablesPanelEnabled || !$messages || !$messages.parentNode) return;
+          if (!$deliverablesToggle) {
+            $deliverablesToggle = document.createElement("button");
+            $deliverablesToggle.type = "button";
+            $deliverablesToggle.className = "paw-deliverables-toggle";
+            $deliverablesToggle.hidden = true;
+            $deliverablesToggle.addEventListener("click", showDeliverablesPanel);
+            ensureThreadTools().appendChild($deliverablesToggle);
+          }
+          // One deliverable is always the latest one; the panel only helps from two on.
+          const count = sessionDeliverables.length;
+          const wasHidden = $deliverablesToggle.hidden;
+          $deliverablesToggle.hidden = count < 2;
+          $deliverablesToggle.textContent = "Deliverables · " + count;
+          if (wasHidden !== $deliverablesToggle.hidden) syncThreadTools();
+        } catch (_) {}
+      }
+
+      function formatDeliverableTime(iso) {
+        try {
+          return new Date(iso).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+        } catch (_) {
+          return "";
+        }
+      }
+
+      function ensureDeliverablesPanel() {
+        let panel = document.getElementById("pawDeliverablesPanel");
+        if (panel) return panel;
+
+        panel = document.createElement("div");
+        panel.id = "pawDeliverablesPanel";
+        panel.className = "modal";
+        panel.setAttribute("aria-hidden", "true");
+        panel.innerHTML =
+          '<div class="modal-card" role="dialog" aria-modal="true" aria-labelledby="pawDeliverablesTitle">' +
+          '  <div class="modal-head">' +
+          '    <div id="pawDeliverablesTitle" class="modal-title">This session’s deliverables</div>' +
+          '    <button class="modal-close" data-action="close" aria-label="Close" type="button">✕</button>' +
+          '  </div>' +
+          '  <div class="modal-body">' +
+          '    <ul class="paw-deliverables-list"></ul>' +
+          '  </div>' +
+          '</div>';
+        document.body.appendChild(panel);
+
+        panel.addEventListener("click", function (e) {
+          const t = e.target;
+          if (!t) return;
+          if (t === panel) {
+            hideDeliverablesPanel();
+            return;
+          }
+          const action = t.getAttribute("data-action");
+          if (action === "close") {
+            hideDeliverablesPanel();
+            return;
+          }
+          const item = t.closest ? t.closest("[data-deliverable-id]") : null;
+          const id = item ? item.getAttribute("data-deliverable-id") : "";
+          const entry = sessionDeliverables.find((d) => d.id === id);
+          if (!entry) return;
+
+          if (action === "open") {
+            hideDeliverablesPanel();
+            showDeliverableModal(entry.state);
+            return;
+          }
+          if (action === "copy") {
+            copyInlineDeliverableState(entry.state);
+            return;
+          }
+          if (action === "save") {
+            const works = window.__PAWWorks;
+            if (!works || typeof works._saveDeliverable !== "function") {
+              showToast("Saving isn’t available right now.");
+              return;
+            }
+            hideDeliverablesPanel();
+            works._saveDeliverable(entry.state);
+          }
+        });
+
+        document.addEventListener("keydown", function (e) {
+          if (e.key === "Escape") hideDeliverablesPanel();
+        });
+
+        return panel;
+      }
+
+      function renderDeliverablesPanel(panel) {
+        const list = panel.querySelector(".paw-deliverables-list");
+        if (!list) return;
+        list.innerHTML = sessionDeliverables
+          .slice()
+          .reverse()
+          .map((d) => {
+            const preview = _extractCreateSummary(d.state) || "(empty)";
+            const latest = d.state === lastDeliverableState;
+            return (
+              '<li class="paw-deliverables-item" data-deliverable-id="' + escapeHtml(d.id) + '">' +
+              '  <div class="paw-deliverables-item__meta">' +
+              '    <span class="paw-deliverables-item__title">' + escapeHtml(d.title) + "</span>" +
+              '    <span class="paw-deliverables-item__badge">' + (d.variant === "email" ? "Email" : "Text") + "</span>" +
+              (latest ? '    <span class="paw-deliverables-item__badge paw-deliverables-item__badge--latest">Current</span>' : "") +
+              '    <time class="paw-deliverables-item__time" datetime="' + escapeHtml(d.createdAt) + '">' +
+              escapeHtml(formatDeliverableTime(d.createdAt)) + "</time>" +
+              "  </div>" +
+              '  <div class="paw-deliverables-item__preview">' + escapeHtml(preview) + "</div>" +
+              '  <div class="paw-deliverables-item__actions">' +
+              '    <button class="btn" type="button" data-action="open">Open</button>' +
+              '    <button class="btn" type="button" data-action="copy">Copy</button>' +
+              '    <button class="btn primary" type="button" data-action="save">Save this one</button>' +
+              "  </div>" +
+              "</li>"
+            );
+          })
+          .join("");
+      }
+
+      function showDeliverablesPanel() {
+        if (!sessionDeliverables.length) return;
+        hideDeliverableModal();
+        const panel = ensureDeliverablesPanel();
+        renderDeliverablesPanel(panel);
+        panel.classList.add("show");
+        panel.setAttribute("aria-hidden", "false");
+      }
+
+      function hideDeliverablesPanel() {
+        const panel = document.getElementById("pawDeliverablesPanel");
+        if (!panel) return;
+        panel.classList.remove("show");
+        panel.setAttribute("aria-hidden", "true");
+      }
+
+      // ─────────────────────────────────────────────
+      // Thread tools row (Export, Deliverables · N)
+      // ─────────────────────────────────────────────
+      let $threadTools = null;
+
+      function ensureThreadTools() {
+        if (!$threadTools) {
+          $threadTools = document.createElement("div");
+          $threadTools.className = "paw-thread-tools";
+          $threadTools.hidden = true;
+          $messages.parentNode.insertBefore($threadTools, $messages);
+        }
+        return $threadTools;
+      }
+
+      // The row hides itself when every button in it is hidden.
+      function syncThreadTools() {
+        if (!$threadTools) return;
+        const visible = Array.prototype.some.call($threadTools.children, (el) => !el.hidden);
+        if ($threadTools.hidden === !visible) return;
+        $threadTools.hidden = !visible;
+        requestHeightUpdate();
+      }
+
+      // ─────────────────────────────────────────────
+      // Export (conversation + deliverables)
+      // ─────────────────────────────────────────────
+      // Markdown / standalone HTML / .docx of the thread on screen (getState().history)
+      // plus this session's deliverables (edited text included). Files are built
+      // and downloaded in the browser; nothing is sent to the Worker.
+      let $exportButton = null;
+
+      function updateExportButton() {
+        try {
+          if (!exportEnabled || !$messages || !$messages.parentNode) return;
+          if (!$exportButton) {
+            $exportButton = document.createElement("button");
+            $exportButton.type = "button";
+            $exportButton.className = "paw-deliverables-toggle paw-export-toggle";
+            $exportButton.textContent = "Export";
+            $exportButton.hidden = true;
+            $exportButton.addEventListener("click", showExportModal);
+            ensureThreadTools().insertBefore($exportButton, ensureThreadTools().firstChild);
+          }
+          $exportButton.hidden = !history.length;
+          syncThreadTools();
+        } catch (_) {}
+      }
+
+      function getExportTitle() {
+        return safeText(config.exportTitle) || safeText(document.title) || getDeliverableTitle() || "Conversation";
+      }
+
+      function buildExportDoc() {
+        const state = getState();
+        const messages = (state.history || [])
+          .filter((h) => h && (h.role === "user" || h.role === "assistant") && safeText(h.content));
+        let deliverables = sessionDeliverables.map((d) => d.state);
+        if (!deliverables.length && lastDeliverableState) deliverables = [lastDeliverableState];
+
+        let workLabel = "";
+        try {
+          const aw = window.__PAWWorks && window.__PAWWorks.getActiveWork ? window.__PAWWorks.getActiveWork() : null;
+          workLabel = aw ? safeText(aw.label) : "";
+        } catch (_) {}
+
+        let date = "";
+        try {
+          date = new Date().toLocaleString([], { dateStyle: "long", timeStyle: "short" });
+        } catch (_) {
+          date = new Date().toString();
+        }
+
+        return { title: getExportTitle(), date: date, workLabel: workLabel, messages: messages, deliverables: deliverables };
+      }
+
+      function exportFileName(ext) {
+        const slug = getExportTitle().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40) || "conversation";
+        const d = new Date();
+        const pad = (n) => String(n).padStart(2, "0");
+        return slug + "-" + d.getFullYear() + "-" + pad(d.getMonth() + 1) + "-" + pad(d.getDate()) + "." + ext;
+      }
+
+      function runExport(format) {
+        const doc = buildExportDoc();
+        if (!doc.messages.length && !doc.deliverables.length) {
+          showToast("Nothing to export yet.");
+          return;
+        }
+        try {
+          if (format === "md") {
+            PAWExport.download(exportFileName("md"), new Blob([PAWExport.toMarkdown(doc)], { type: "text/markdown;charset=utf-8" }));
+          } else if (format === "html") {
+            PAWExport.download(exportFileName("html"), new Blob([PAWExport.toHtml(doc)], { type: "text/html;charset=utf-8" }));
+          } else if (format === "docx") {
+            PAWExport.download(exportFileName("docx"), PAWExport.toDocx(doc));
+          } else {
+            return;
+          }
+          hideExportModal();
+          showToast("Export downloaded");
+        } catch (_) {
+          showToast("Couldn’t export. Try again.");
+        }
+      }
+
+      function ensureExportModal() {
+        let modal = document.getElementById("pawExportModal");
+        if (modal) return modal;
+
+        modal = document.createElement("div");
+        modal.id = "pawExportModal";
+        modal.className = "modal";
+        modal.setAttribute("aria-hidden", "true");
+        modal.innerHTML =
+          '<div class="modal-card" role="dialog" aria-modal="true" aria-labelledby="pawExportTitle">' +
+          '  <div class="modal-head">' +
+          '    <div id="pawExportTitle" class="modal-title">Export</div>' +
+          '    <button class="modal-close" data-action="close" aria-label="Close" type="button">✕</button>' +
+          '  </div>' +
+          '  <div class="modal-body">' +
+          '    <p class="paw-export-summary"></p>' +
+          '    <div class="paw-export-actions">' +
+          '      <button class="btn" type="button" data-action="export" data-format="md">Markdown (.md)</button>' +
+          '      <button class="btn" type="button" data-action="export" data-format="html">Web page (.html)</button>' +
+          '      <button class="btn primary" type="button" data-action="export" data-format="docx">Word (.docx)</button>' +
+          '    </div>' +
+          '  </div>' +
+          '</div>';
+        document.body.appendChild(modal);
+
+        modal.addEventListener("click", function (e) {
+          const t = e.target;
+          if (!t) return;
+          if (t === modal) {
+            hideExportModal();
+            return;
+          }
+          const action = t.getAttribute("data-action");
+          if (action === "close") {
+            hideExportModal();
+            return;
+          }
+          if (action === "export") runExport(t.getAttribute("data-format"));
+        });
+
+        document.addEventListener("keydown", function (e) {
+          if (e.key === "Escape") hideExportModal();
+        });
+
+        return modal;
+      }
+
+      function showExportModal() {
+        const doc = buildExportDoc();
+        const modal = ensureExportModal();
+        const summary = modal.querySelector(".paw-export-summary");
+        if (summary) {
+          const turns = doc.messages.length;
+          const count = doc.deliverables.length;
+          summary.textContent =
+            "This conversation (" + turns + (turns === 1 ? " message" : " messages") + ")" +
+            (count ? " and " + count + (count === 1 ? " deliverable" : " deliverables") : "") +
+            (doc.workLabel ? ", for " + doc.workLabel : "") + ".";
+        }
+        modal.classList.add("show");
+        modal.setAttribute("aria-hidden", "false");
+      }
+
+      function hideExportModal() {
+        const modal = document.getElementById("pawExportModal");
+        if (!modal) return;
         modal.classList.remove("show");
         modal.setAttribute("aria-hidden", "true");
       }
@@ -2319,6 +6827,11 @@ function resetAutoGrowTextarea($ta){
           replyText,
           reportMeta
         );
+        if (pendingRevisionBase) {
+          if (pendingRevisionBase !== lastDeliverableState) revisionBases.set(lastDeliverableState, pendingRevisionBase);
+          pendingRevisionBase = null;
+        }
+        recordSessionDeliverable(lastDeliverableState);
         try {
           const originTool = _inferOriginToolFromPage(toolId);
           _setWorksCreateContext({
@@ -2329,6 +6842,11 @@ function resetAutoGrowTextarea($ta){
             summary: _extractCreateSummary(lastDeliverableState)
           });
         } catch (_) {}
+        try {
+          window.dispatchEvent(new CustomEvent("paw:deliverable:created", {
+            detail: { tool_id: toolId, title: getDeliverableTitle(), text: String(replyText || "") }
+          }));
+        } catch (_) {}
 
         const openLatestDeliverable = function () {
           showDeliverableModal(lastDeliverableState);
@@ -2361,7 +6879,7 @@ function resetAutoGrowTextarea($ta){
 
         if (!shouldOpenModal) {
           $messages.scrollTop = $messages.scrollHeight;
-          return;
+          return messageWrap;
         }
 
         // Open a modal with Copy / Revise every time for deliverables.
@@ -2382,6 +6900,7 @@ function resetAutoGrowTextarea($ta){
         } catch (_) {}
 
         $messages.scrollTop = $messages.scrollHeight;
+        return messageWrap;
       }
       async function sendExtra(instruction, extraPayload = {}, options = {}) {
         if (isSending) return;
@@ -2399,12 +6918,15 @@ function resetAutoGrowTextarea($ta){
         const shouldUseComposerWorkingState =
           !!(
             composerWorkingEnabled &&
+            options.composerWorking !== false &&
             $input &&
             ((echoUser && safeText($input.value)) || forceComposerWorking)
           );
         const composerDisplayText = shouldUseComposerWorkingState ? String($input.value || "") : "";
 
+        pendingRevisionBase = options.revisionBase || null;
         isSending = true;
+        const requestController = beginAbortableRequest();
 
         // Brand feedback: instant acknowledgement + working ring (click or Enter)
         pawSubmitBump();
@@ -2414,6 +6936,8 @@ function resetAutoGrowTextarea($ta){
           : false;
 
         let sendSucceeded = false;
+        let userTurn = null;
+        let userWrap = null;
 
         // Always-visible progress cue (prevents "nothing is happening" when the chat stream is off-screen)
         if (!composerWorkingEnabled) showWorkingBar("Working…");
@@ -2421,8 +6945,9 @@ function resetAutoGrowTextarea($ta){
 
         try {
           if (echoUser) {
-            appendMessage($messages, "user", msg);
-            pushHistory("user", msg);
+            userWrap = appendMessage($messages, "user", msg);
+            userTurn = pushHistory("user", msg);
+            attachTurnControls(userWrap, userTurn);
           }
 
           const prefs = getPrefs ? getPrefs() : {};
@@ -2430,22 +6955,17 @@ function resetAutoGrowTextarea($ta){
           const mergedExtra = Object.assign({}, baseExtra, extraPayload || {});
 
           const payload = buildPayloadBase(toolId, getHistoryForSend(), prefs, mergedExtra);
+          attachHistorySummary(payload);
           payload.message = msg;
 
-          const data = await postToWorker(payload);
+          const { data, skipped } = await requestReply(payload, requestController);
           sendSucceeded = true;
-
-          if (onResponse) {
-            try {
-              const r = onResponse(data);
-              if (r && r.skipDefault) return data;
-            } catch (_) {}
-          }
+          if (skipped) return data;
 
           const reply = safeText(data && data.reply);
           const deliverableMeta = getDeliverableMeta ? getDeliverableMeta(reply, data) : null;
           if (reply) {
-            renderDeliverable(reply, {
+            const replyWrap = renderDeliverable(reply, {
               toolId: toolId,
               toolTitle: getDeliverableTitle(),
               userMessage: msg,
@@ -2462,13 +6982,24 @@ function resetAutoGrowTextarea($ta){
               createdAt: new Date().toISOString(),
               pageUrl: (typeof location !== "undefined" ? location.href : ""),
             });
-            pushHistory("assistant", reply);
+            const aiTurn = pushHistory("assistant", reply);
+            aiTurn.deliverable = lastDeliverableState;
+            aiTurn.requestExtra = mergedExtra;
+            if (replyWrap) replyWrap.__pawTurn = aiTurn;
+            scheduleHistorySummary();
           }
           return data;
         } catch (err) {
-          appendMessage($messages, "ai", formatAssistantErrorText(err));
+          if (isAbortError(err) || (requestController && requestController.signal.aborted)) {
+            rollbackUserTurn(userTurn, userWrap);
+            try { showToast("Stopped."); } catch (_) {}
+          } else {
+            appendMessage($messages, "ai", formatAssistantErrorText(err));
+          }
         } finally {
           isSending = false;
+          pendingRevisionBase = null;
+          endAbortableRequest(requestController);
           pawSetBusy(false);
           hideWorkingBar();
           if (usedComposerWorkingState) {
@@ -2482,6 +7013,10 @@ function resetAutoGrowTextarea($ta){
         if (isSending) return;
         if (!$input) return;
         if (!$messages) return;
+        if (voiceBlocksSend && voiceBlocksSend()) {
+          showToast("Tap Done to finish dictation before sending.");
+          return;
+        }
 
         const trimmed = safeText($input.value);
         if (!trimmed) return;
@@ -2499,7 +7034,11 @@ function resetAutoGrowTextarea($ta){
           } catch (_) {}
         }
 
+        pendingRevisionBase = composerRevisionBase;
+        composerRevisionBase = null;
+
         isSending = true;
+        const requestController = beginAbortableRequest();
 
         // Brand feedback: instant acknowledgement + working ring (click or Enter)
         pawSubmitBump();
@@ -2509,34 +7048,32 @@ function resetAutoGrowTextarea($ta){
           : false;
 
         let sendSucceeded = false;
+        let userTurn = null;
+        let userWrap = null;
 
         // Always-visible progress cue (prevents "nothing is happening" when the chat stream is off-screen)
         if (!composerWorkingEnabled) showWorkingBar("Working…");
         await nextPaint();
 
         try {
-          appendMessage($messages, "user", trimmed);
-          pushHistory("user", trimmed);
+          userWrap = appendMessage($messages, "user", trimmed);
+          userTurn = pushHistory("user", trimmed);
+          attachTurnControls(userWrap, userTurn);
 
           const prefs = getPrefs ? getPrefs() : {};
           const extraPayload = getExtraPayload ? getExtraPayload(trimmed) : {};
           const payload = buildPayloadBase(toolId, getHistoryForSend(), prefs, extraPayload);
+          attachHistorySummary(payload);
           payload.message = trimmed;
 
-          const data = await postToWorker(payload);
+          const { data, skipped } = await requestReply(payload, requestController);
           sendSucceeded = true;
-
-          if (onResponse) {
-            try {
-              const r = onResponse(data);
-              if (r && r.skipDefault) return;
-            } catch (_) {}
-          }
+          if (skipped) return;
 
           const reply = safeText(data && data.reply);
           const deliverableMeta = getDeliverableMeta ? getDeliverableMeta(reply, data) : null;
           if (reply) {
-            renderDeliverable(reply, {
+            const replyWrap = renderDeliverable(reply, {
               toolId: toolId,
               toolTitle: getDeliverableTitle(),
               userMessage: trimmed,
@@ -2553,12 +7090,23 @@ function resetAutoGrowTextarea($ta){
               createdAt: new Date().toISOString(),
               pageUrl: (typeof location !== "undefined" ? location.href : ""),
             });
-            pushHistory("assistant", reply);
+            const aiTurn = pushHistory("assistant", reply);
+            aiTurn.deliverable = lastDeliverableState;
+            aiTurn.requestExtra = extraPayload;
+            if (replyWrap) replyWrap.__pawTurn = aiTurn;
+            scheduleHistorySummary();
           }
         } catch (err) {
-          appendMessage($messages, "ai", formatAssistantErrorText(err));
+          if (isAbortError(err) || (requestController && requestController.signal.aborted)) {
+            rollbackUserTurn(userTurn, userWrap);
+            try { showToast("Stopped."); } catch (_) {}
+          } else {
+            appendMessage($messages, "ai", formatAssistantErrorText(err));
+          }
         } finally {
           isSending = false;
+          pendingRevisionBase = null;
+          endAbortableRequest(requestController);
           pawSetBusy(false);
           hideWorkingBar();
           if (usedComposerWorkingState) {
@@ -2577,7 +7125,17 @@ function resetAutoGrowTextarea($ta){
         // Tool-specific pages (listing.html, ask.html, etc.) may call this as part of a
         // larger "full reset" that also clears their own form fields + local draft storage.
         try {
+          stopInFlightRequest();
           history = [];
+          threadTurns = [];
+          activeLeafId = null;
+          historySummary = null;
+          updateContextMeter();
+          updateExportButton();
+          clearSessionDeliverables();
+          pendingRevisionBase = null;
+          composerRevisionBase = null;
+          readAloudStop();
           if ($messages) $messages.innerHTML = "";
           composerWorkingSnapshot = null;
           clearComposerWorkingUi();
@@ -2600,7 +7158,17 @@ function resetAutoGrowTextarea($ta){
       }
 
       // Wire events
-      if ($send) $send.addEventListener("click", sendMessage);
+      if ($send) {
+        $send.addEventListener("click", function (e) {
+          if (isSending) {
+            // Busy send button is the Stop control; never let it submit a form.
+            try { e.preventDefault(); } catch (_) {}
+            stopInFlightRequest();
+            return;
+          }
+          sendMessage();
+        });
+      }
       if ($toolForm) {
         $toolForm.addEventListener("submit", function (e) {
           e.preventDefault();
@@ -2826,12 +7394,40 @@ function resetAutoGrowTextarea($ta){
       // - They only expose enough state so each tool page can store drafts in localStorage.
       // - We intentionally store *history* (user/assistant turns), not raw DOM HTML,
       //   so we can safely re-render without brittle markup coupling.
-      function getState() {
+      // options.maxTurns caps both `history` (newest N) and the `branches` tree
+      // (see keptBranchTurns) so drafts stay bounded however much the user forks.
+      function getState(options) {
         try {
-          return {
+          const maxTurns = Math.floor(Number(options && options.maxTurns)) || 0;
+          const state = {
             history: Array.isArray(history) ? history.map((h) => ({ role: h.role, content: h.content })) : [],
             input: $input ? String($input.value || "") : ""
           };
+          if (maxTurns > 0) state.history = state.history.slice(-maxTurns);
+          if (hasThreadBranches()) {
+            state.branches = {
+              turns: keptBranchTurns(maxTurns).map((t) => {
+                const out = { id: t.id, parent: t.parent, role: t.role, content: t.content };
+                if (t.alternatives && t.alternatives.length > 1) {
+                  out.alternatives = t.alternatives.map((a) => a.content);
+                  out.alt = t.altChosen || 0;
+                }
+                return out;
+              }),
+              leaf: activeLeafId
+            };
+          }
+          // Summary position is stored as "first N turns of history" so it survives id changes.
+          // N counts within the exported history; turns cut by maxTurns fold into the text.
+          const cut = history.length - state.history.length;
+          const covered = historySummary ? history.findIndex((t) => t.id === historySummary.throughId) : -1;
+          if (covered >= cut) {
+            state.historySummary = { text: historySummary.text, turns: covered + 1 - cut };
+          } else if (cut > 0 || hasHeadSummary()) {
+            const text = cut > 0 ? summarizeOlderTurns(history.slice(0, cut)) : historySummary.text;
+            if (text) state.historySummary = { text: text, turns: 0 };
+          }
+          return state;
         } catch (_) {
           return { history: [], input: "" };
         }
@@ -2841,15 +7437,34 @@ function resetAutoGrowTextarea($ta){
         try {
           const st = state && typeof state === "object" ? state : {};
           const hist = Array.isArray(st.history) ? st.history : [];
-          history = hist
-            .filter((h) => h && (h.role === "user" || h.role === "assistant"))
-            .map((h) => ({ role: h.role, content: String(h.content || "") }));
-
-          if ($messages) {
-            $messages.innerHTML = "";
-            history.forEach((h) => {
-              appendMessage($messages, h.role === "user" ? "user" : "assistant", h.content);
-            });
+          const branches = readThreadBranches(st.branches);
+          history = [];
+          threadTurns = [];
+          activeLeafId = null;
+          threadTurnSeq = 0;
+          historySummary = null;
+          if (branches) {
+            threadTurns = branches.turns;
+            activeLeafId = branches.leaf;
+            threadTurnSeq = branches.seq;
+            trimStoredTurns();
+          } else {
+            hist
+              .filter((h) => h && (h.role === "user" || h.role === "assistant"))
+              .forEach((h) => pushHistory(h.role, h.content));
+          }
+
+          const trimmedSummary = hasHeadSummary() ? historySummary : null;
+          historySummary = null;
+          renderThreadMessages();
+          const savedSummary = st.historySummary && typeof st.historySummary === "object" ? st.historySummary : null;
+          const coveredTurn = savedSummary ? history[Number(savedSummary.turns) - 1] : null;
+          if (coveredTurn && safeText(savedSummary.text)) {
+            historySummary = { text: safeText(savedSummary.text), throughId: coveredTurn.id };
+          } else if (savedSummary && Number(savedSummary.turns) === 0 && safeText(savedSummary.text)) {
+            historySummary = { text: safeText(savedSummary.text), throughId: null };
+          } else {
+            historySummary = trimmedSummary;
           }
 
           if ($input) {
@@ -2862,6 +7477,7 @@ function resetAutoGrowTextarea($ta){
               else resetAutoGrowTextarea($input);
             } catch (_) {}
           }
+          updateContextMeter();
 
           // Ensure we're not showing "Working..." after a restore.
           try { hideWorkingBar(); } catch (_) {}
@@ -2871,7 +7487,7 @@ function resetAutoGrowTextarea($ta){
           return false;
         }
       }
-return { sendMessage, sendExtra, reset, getState, setState, toast: showToast };
+return { sendMessage, sendExtra, stop: stopInFlightRequest, reset, getState, setState, toast: showToast };
     },
   };
 })();
@@ -3171,6 +7787,7 @@ var renderWorksBody = function(){ };
 var _touchRecent = function(){ };
 var __worksReloadWorksListFn = null;
 var __worksEnsureWorksListLoadedFn = null;
+var __worksSaveDeliverableFn = null;
 
 function mountWorksRootIntoPanel(){
   try{
@@ -3275,76 +7892,12 @@ function ensureWorksRoot(){
     }
 
     if (t.getAttribute("data-paw-works-save-new") === "1"){
-      openWorkNameModal("", async function(name){
-        try{ if (window.PAWAuth && window.PAWAuth.whenReady) await window.PAWAuth.whenReady().catch(function(){}); }catch(_){ }
-        var resolvedBucket = _resolveCreateWorkBucket();
-        if (!_getApiEndpoint()){
-          _worksToast("Saving isn’t available right now.");
-          return;
-        }
-        var tok = "";
-        try{ tok = (window.PAWAuth && window.PAWAuth.getToken) ? window.PAWAuth.getToken() : ""; }catch(_){ }
-        if (!tok){
-          _worksToast("Not signed in yet. Please try again.");
-          return;
-        }
-        try{
-          var work = await createMyWork(resolvedBucket, String(name||""));
-          var nw = {
-            bucket: work.bucket,
-            id: work.work_id,
-            label: work.label,
-            subtitle: "",
-            created_at: work.created_at,
-            updated_at: work.updated_at
-          };
-          attachWork(nw);
-          setTimeout(function(){ emitWorksSave("save_updates"); }, 0);
-          _touchRecent(nw);
-          await reloadWorksList({ append:false });
-          emitWorksSave("create");
-          _worksToast("Saved.");
-        }catch(err){
-          _worksToast((err && err.message) ? err.message : "Couldn’t save right now.");
-        }
-      });
+      openWorkNameModal("", function(name){ return _createWorkFromCurrentOutput(name, "create"); });
       return;
     }
 
     if (t.getAttribute("data-paw-works-save-as-new") === "1"){
-      openWorkNameModal("", async function(name){
-        try{ if (window.PAWAuth && window.PAWAuth.whenReady) await window.PAWAuth.whenReady().catch(function(){}); }catch(_){ }
-        var resolvedBucket = _resolveCreateWorkBucket();
-        if (!_getApiEndpoint()){
-          _worksToast("Saving isn’t available right now.");
-          return;
-        }
-        var tok = "";
-        try{ tok = (window.PAWAuth && window.PAWAuth.getToken) ? window.PAWAuth.getToken() : ""; }catch(_){ }
-        if (!tok){
-          _worksToast("Not signed in yet. Please try again.");
-          return;
-        }
-        try{
-          var work = await createMyWork(resolvedBucket, String(name||""));
-          var nw = {
-            bucket: work.bucket,
-            id: work.work_id,
-            label: work.label,
-            subtitle: "",
-            created_at: work.created_at,
-            updated_at: work.updated_at
-          };
-          attachWork(nw);
-          setTimeout(function(){ emitWorksSave("save_updates"); }, 0);
-          _touchRecent(nw);
-          await reloadWorksList({ append:false });
-          emitWorksSave("save_as_new");
-          _worksToast("Saved.");
-        }catch(err){
-          _worksToast((err && err.message) ? err.message : "Couldn’t save right now.");
-        }
-      });
+      openWorkNameModal("", function(name){ return _createWorkFromCurrentOutput(name, "save_as_new"); });
       return;
     }
 
@@ -3389,11 +7942,24 @@ function ensureWorksRoot(){
     }
 
     if (t.getAttribute("data-paw-works-retry") === "1"){
-      reloadWorksList({ append:false });
+      _ensureWorksToken().then(function(){ reloadWorksList({ append:false }); });
       return;
     }
   });
 
+  // Token (re-)minted (late sign-in, retry, scheduled refresh or after a 401): if
+  // Works is open and the list failed or never loaded for lack of a token, load
+  // it again now.
+  function _onWorksAuthRecovered(){
+    if (!__worksModeOn) return;
+    // An in-flight load is replaying its own request with the new token.
+    if (__worksListLoading) return;
+    if (__worksListHasLoaded && !__worksListError) return;
+    try{ reloadWorksList({ append:false }); }catch(_){ }
+  }
+  window.addEventListener("paw:auth:refreshed", _onWorksAuthRecovered);
+  window.addEventListener("paw:auth:ready", _onWorksAuthRecovered);
+
   // ESC handling in Works mode:
   // - If a modal is open, close the modal only.
   // - If no modal is open, exit Works mode.
@@ -3551,11 +8117,16 @@ function ensureWorksRoot(){
     return normalized;
   }
 
+  // Set only while a "Save this one" create is in flight (see saveDeliverableAsWork).
+  var __worksSaveDeliverable = null;
+
   function _getCurrentSaveSnapshot(){
     try{
       if (window.PAWToolShell && typeof window.PAWToolShell._getCurrentSaveSnapshot === "function"){
         var snapshot = window.PAWToolShell._getCurrentSaveSnapshot();
-        return snapshot && typeof snapshot === "object" ? snapshot : null;
+        if (!snapshot || typeof snapshot !== "object") return null;
+        if (__worksSaveDeliverable) snapshot = Object.assign({}, snapshot, { deliverable: __worksSaveDeliverable });
+        return snapshot;
       }
     }catch(_){ }
     return null;
@@ -3756,6 +8327,9 @@ function ensureWorksRoot(){
       } else if (deliverable.text) {
         portable.text = String(deliverable.text || "");
       }
+      // The agent changed the AI's wording before saving.
+      if (deliverable.userEdited) portable.user_edited = true;
+      else delete portable.user_edited;
     }
 
     if (_hasCreateData(portable)) payload.portable = portable;
@@ -3777,6 +8351,8 @@ function ensureWorksRoot(){
         history: hasShellHistory ? shellState.history : [],
         input: hasShellInput ? String(shellState.input || "") : ""
       };
+      if (shellState.branches && typeof shellState.branches === "object") toolState.shell.branches = shellState.branches;
+      if (shellState.historySummary && typeof shellState.historySummary === "object") toolState.shell.historySummary = shellState.historySummary;
     }
     if (transactionsSaveContext){
       var transactionsState = toolState.transactions && typeof toolState.transactions === "object"
@@ -3873,6 +8449,22 @@ function ensureWorksRoot(){
     return "";
   }
 
+  // Token for a save attempt. If sign-in failed or expired, try one PAWAuth
+  // retry first so the user is not stuck repeating the same toast.
+  async function _ensureWorksToken(){
+    var tok = "";
+    try{ tok = (window.PAWAuth && window.PAWAuth.getToken) ? window.PAWAuth.getToken() : ""; }catch(_){ tok = ""; }
+    if (tok) return tok;
+    try{
+      var status = window.PAWAuth && window.PAWAuth.getStatus ? window.PAWAuth.getStatus() : "";
+      if ((status === "failed" || status === "expired") && window.PAWAuth.retry){
+        await window.PAWAuth.retry();
+        tok = window.PAWAuth.getToken() || "";
+      }
+    }catch(_){ tok = ""; }
+    return tok;
+  }
+
   function _getWorksApiEndpoint(){
     var ep = "";
     try{ ep = String(_getApiEndpoint() || "").trim(); }catch(_){ ep = ""; }
@@ -3882,35 +8474,14 @@ function ensureWorksRoot(){
     return String(ep || "").replace(/\/+$/,"");
   }
 
-  function _apiHeadersJsonAuth(){
-    var headers = { "Content-Type":"application/json" };
-    try{
-      var t = (window.PAWAuth && window.PAWAuth.getToken) ? window.PAWAuth.getToken() : "";
-      if (t) headers["Authorization"] = "Bearer " + t;
-    }catch(_){ }
-    return headers;
-  }
-
   async function createMyWork(bucket, label){
     var ep = _getWorksApiEndpoint();
     if (!ep) throw new Error("Saving isn’t available right now.");
     var url = String(ep).replace(/\/+$/,"") + "/myworks";
     var body = _buildCreateMyWorkRequest(bucket, label);
-    var res = await fetch(url, {
-      method: "POST",
-      headers: _apiHeadersJsonAuth(),
-      body: JSON.stringify(body)
-    });
-
-    var text = await res.text();
-    var data = null;
-    try{ data = JSON.parse(text); }catch(_){ data = { reply: text || "" }; }
-
-    if (!res.ok){
-      throw new Error((data && (data.error || data.message || data.reply)) || ("Request failed (" + res.status + ")"));
-    }
+    var data = await window.PAWApi.request(url, { method: "POST", body: body });
 
-    var work = data && data.data && data.data.work ? data.data.work : null;
+    var work = data && data.work ? data.work : null;
     if (!work || !work.work_id) throw new Error("Invalid create response");
     return work;
   }
@@ -3921,20 +8492,7 @@ function ensureWorksRoot(){
     var ep = _getWorksApiEndpoint();
     if (!ep) throw new Error("Couldn’t delete right now.");
     var url = String(ep).replace(/\/+$/,"") + "/myworks/" + encodeURIComponent(id);
-    var res = await fetch(url, {
-      method: "DELETE",
-      headers: _apiHeadersJsonAuth()
-    });
-
-    var text = await res.text();
-    var data = null;
-    try{ data = JSON.parse(text); }catch(_){ data = { reply: text || "" }; }
-
-    if (!res.ok){
-      throw new Error((data && (data.error || data.message || data.reply)) || ("Request failed (" + res.status + ")"));
-    }
-
-    return data;
+    return await window.PAWApi.request(url, { method: "DELETE", raw: true });
   }
 
   function _normalizeWorkRow(raw){
@@ -4033,16 +8591,10 @@ function ensureWorksRoot(){
     if (__worksBucketFilter && __worksBucketFilter !== "all") params.set("bucket", String(__worksBucketFilter));
 
     var url = String(ep).replace(/\/+$/,"") + "/myworks?" + params.toString();
-    var res = await fetch(url, { method:"GET", headers: _apiHeadersJsonAuth() });
-    var text = await res.text();
-    var data = null;
-    try{ data = JSON.parse(text); }catch(_){ data = { reply: text || "" }; }
-    if (!res.ok){
-      throw new Error((data && (data.error || data.message || data.reply)) || ("Request failed (" + res.status + ")"));
-    }
+    var data = await window.PAWApi.request(url, { method: "GET" });
 
-    var list = (data && data.data && Array.isArray(data.data.list)) ? data.data.list : [];
-    var next = (data && data.data && data.data.next_cursor) ? String(data.data.next_cursor) : "";
+    var list = (data && Array.isArray(data.list)) ? data.list : [];
+    var next = (data && data.next_cursor) ? String(data.next_cursor) : "";
     return { list: list.map(_normalizeWorkRow), nextCursor: next };
   }
 
@@ -4079,6 +8631,14 @@ function ensureWorksRoot(){
     var tok = "";
     try{ tok = (window.PAWAuth && window.PAWAuth.getToken) ? window.PAWAuth.getToken() : ""; }catch(_){ tok = ""; }
     if (!tok){
+      // Signed out for good (not just still waiting): show the retry state
+      // instead of an endless "Loading saved works…".
+      try{
+        var authStatus = window.PAWAuth && window.PAWAuth.getStatus ? window.PAWAuth.getStatus() : "";
+        if (authStatus === "failed" || authStatus === "expired"){
+          __worksListError = "We can’t load your saved works right now. Please try again.";
+        }
+      }catch(_){ }
       try{ renderWorksBody(); }catch(_){ }
       return;
     }
@@ -4159,6 +8719,55 @@ function ensureWorksRoot(){
     }catch(_){}
   };
 
+  // Shared "name it, create it, attach it" flow behind Save / Save as new
+  // (and the deliverables panel's "Save this one").
+  async function _createWorkFromCurrentOutput(name, intent){
+    try{ if (window.PAWAuth && window.PAWAuth.whenReady) await window.PAWAuth.whenReady().catch(function(){}); }catch(_){ }
+    var resolvedBucket = _resolveCreateWorkBucket();
+    if (!_getApiEndpoint()){
+      _worksToast("Saving isn’t available right now.");
+      return;
+    }
+    var tok = await _ensureWorksToken();
+    if (!tok){
+      _worksToast("You’re not signed in, so saving isn’t available right now.");
+      return;
+    }
+    try{
+      var work = await createMyWork(resolvedBucket, String(name||""));
+      var nw = {
+        bucket: work.bucket,
+        id: work.work_id,
+        label: work.label,
+        subtitle: "",
+        created_at: work.created_at,
+        updated_at: work.updated_at
+      };
+      attachWork(nw);
+      emitWorkSaved(nw, intent);
+      setTimeout(function(){ emitWorksSave("save_updates"); }, 0);
+      _touchRecent(nw);
+      await reloadWorksList({ append:false });
+      emitWorksSave(intent);
+      _worksToast("Saved.");
+    }catch(err){
+      _worksToast((err && err.message) ? err.message : "Couldn’t save right now.");
+    }
+  }
+
+  // "Save this one" from the shell's deliverables panel: same create flow, but the
+  // snapshot carries the chosen deliverable instead of the latest one.
+  function saveDeliverableAsWork(deliverable){
+    openWorkNameModal("", async function(name){
+      __worksSaveDeliverable = deliverable && typeof deliverable === "object" ? deliverable : null;
+      try{
+        await _createWorkFromCurrentOutput(name, "create");
+      }finally{
+        __worksSaveDeliverable = null;
+      }
+    });
+  }
+
   function emitWorksSave(intent){
     // SAVE EVENT ORDER CONTRACT:
     // - The shell emits paw:works:save_current_output after the user chooses
@@ -4176,6 +8785,24 @@ function ensureWorksRoot(){
     }catch(_){ }
   }
 
+  // paw:works:saved fires only once a create or PATCH has actually succeeded
+  // (save_current_output above is a request and may still fail). The shell
+  // emits it after create; a tool that PATCHes calls __PAWWorks.notifySaved.
+  // The host bridge forwards it as "work.saved".
+  function emitWorkSaved(work, intent){
+    try{
+      var w = work && typeof work === "object" ? work : {};
+      var ev = new CustomEvent("paw:works:saved", {
+        detail: {
+          work_id: String(w.work_id || w.id || ""),
+          active_work: getActiveWork(),
+          intent: String(intent || "")
+        }
+      });
+      window.dispatchEvent(ev);
+    }catch(_){ }
+  }
+
   function ensureWorkNameModal(){
     try{
       var existing = document.getElementById("pawWorkNameModal");
@@ -4526,6 +9153,7 @@ function ensureWorksRoot(){
 
   __worksReloadWorksListFn = reloadWorksList;
   __worksEnsureWorksListLoadedFn = _ensureWorksListLoaded;
+  __worksSaveDeliverableFn = saveDeliverableAsWork;
 
   return __worksRoot;
 }
@@ -4641,8 +9269,8 @@ function findToolRoot(){
       }catch(_){ __worksIsRestoringScroll = false; }
     }
 
-    // Single layout ping after mode switch; avoids repeated pings that can amplify iframe jitter.
-    try{ pawScheduleLayoutPing(); }catch(_ ){}
+    // Single height update after mode switch; avoids repeated reports that can amplify iframe jitter.
+    try{ window.PAWToolShell.requestHeightUpdate(); }catch(_ ){}
   }
 
 
@@ -4735,7 +9363,7 @@ function enterWorksMode(){
   updateWorkPill();
 
   try{ __worksRoot.style.display = "flex"; }catch(_){}
-  try{ pawScheduleLayoutPing(); }catch(_){}
+  try{ window.PAWToolShell.requestHeightUpdate(); }catch(_){}
 
   // Stabilize scroll: bring Works to top.
   try{ window.scrollTo(0,0); }catch(_){}
@@ -4901,28 +9529,14 @@ function exitWorksMode(){
   async function fetchBrand(){
     if (!__apiEndpoint) return null;
     var url = String(__apiEndpoint).replace(/\/+$/,"") + "/mystuff/brand";
-    var headers = { "Content-Type":"application/json" };
-    try{
-      var t = (window.PAWAuth && window.PAWAuth.getToken) ? window.PAWAuth.getToken() : "";
-      if (t) headers["Authorization"] = "Bearer " + t;
-    }catch(_){}
-    var res = await fetch(url, { method:"GET", headers: headers });
-    var data = await res.json().catch(function(){ return {}; });
-    if (!res.ok) throw new Error((data && (data.error || data.message)) || "Could not load My Brand");
-    return data;
+    return await window.PAWApi.request(url, { method: "GET", raw: true, errorMessage: "Could not load My Brand" });
   }
 
   async function fetchBrandSummary(){
     if (!__apiEndpoint) return "";
     var url = String(__apiEndpoint).replace(/\/+$/,"") + "/mystuff/brand/summary";
-    var headers = { "Content-Type":"application/json" };
-    try{
-      var t = (window.PAWAuth && window.PAWAuth.getToken) ? window.PAWAuth.getToken() : "";
-      if (t) headers["Authorization"] = "Bearer " + t;
-    }catch(_){}
-    var res = await fetch(url, { method:"GET", headers: headers });
-    var data = await res.json().catch(function(){ return {}; });
-    if (!res.ok) return "";
+    var data = null;
+    try{ data = await window.PAWApi.request(url, { method: "GET", raw: true }); }catch(_){ return ""; }
     return (data && typeof data.summary === "string") ? data.summary.trim() : "";
   }
 
@@ -5055,6 +9669,14 @@ function init(apiEndpoint){
     getActiveWork: getActiveWork,
     attachWork: attachWork,
     detachWork: detachWork,
+    notifySaved: emitWorkSaved,
+    // The save flow lives inside ensureWorksRoot(); building the (hidden) root is enough to use it.
+    _saveDeliverable: function(deliverable){
+      try{
+        if (!__worksSaveDeliverableFn) ensureWorksRoot();
+        if (__worksSaveDeliverableFn) __worksSaveDeliverableFn(deliverable);
+      }catch(_){ }
+    },
     _open: function(){ enterWorksMode(); },
     _close: function(){ exitWorksMode(); }
   };